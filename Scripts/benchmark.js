@@ -0,0 +1,25 @@
+import {mapFunction} from "./mapper.js";
+import {generateHierarchy, measureTree} from "./benchmarkData.js";
+
+// Entry point of "main.html?benchmark=50000": draw a synthetic hierarchy of "size" nodes instead of the food hierarchy
+// (see benchmarkData.js), then time the main operations and list the times in the page.
+export async function benchmarkFunction(size) {
+    const results = document.getElementById("benchmarkResults");
+    results.hidden = false;
+    results.querySelector("caption").textContent = `Benchmark of ${size} nodes (running)`;
+
+    const start = performance.now();
+    const controller = await mapFunction({hierarchy: generateHierarchy({nodes: size})});
+    addRow(results, "create the tree", Math.round(performance.now() - start));
+
+    (await measureTree(controller)).forEach(({step, milliseconds}) => addRow(results, step, milliseconds));
+    results.querySelector("caption").textContent = `Benchmark of ${size} nodes (ms)`;
+
+    return controller;
+}
+
+function addRow(results, step, milliseconds) {
+    const row = results.tBodies[0].insertRow();
+    row.insertCell().textContent = step;
+    row.insertCell().textContent = String(milliseconds);
+}
@@ -0,0 +1,99 @@
+// Large synthetic hierarchies, to measure the editor at the size of a full WordNet noun hierarchy.
+// Open "main.html?benchmark=50000" to draw one of 50000 nodes instead of the food hierarchy: the time taken by
+// the main operations is listed in the page (see benchmark.js).
+
+const syllables = ["ba", "ko", "ri", "san", "tel", "mu", "dor", "phe", "lin", "ga", "vo", "ster", "qui", "ne", "ul"];
+const verbs = ["add", "bake", "boil", "chop", "fry", "grill", "mix", "pour", "roast", "slice", "stir in", "whisk"];
+
+// Nested hierarchy of "nodes" nodes, in the format of hierarchyData.json. Internal nodes have 1 to "maxChildren"
+// children, and a node is a leaf with probability "leafRate" (the root excepted). The same "seed" gives the same
+// hierarchy.
+export function generateHierarchy({nodes = 50000, maxChildren = 12, leafRate = 0.4, seed = 1} = {}) {
+    const random = randomGenerator(seed);
+    const root = createNode("object", undefined);
+
+    // Breadth first, so every level is filled before the next one
+    const queue = [root];
+    let count = 1;
+    for (let next = 0; count < nodes && next < queue.length; next++) {
+        const father = queue[next];
+        if (father !== root && random() < leafRate && next < queue.length - 1) {
+            continue;
+        }
+
+        const childCount = Math.min(1 + Math.floor(random() * maxChildren), nodes - count);
+        for (let i = 0; i < childCount; i++, count++) {
+            const child = createNode(`${word()}_${count}`, father);
+            father.Children.push(child);
+            queue.push(child);
+        }
+    }
+
+    return root;
+
+    function createNode(name, father) {
+        return {
+            Name: name,
+            Synonyms: random() < 0.5 ? [name, word()] : [name],
+            Hypers: father ? [father.Name, ...father.Hypers] : [],
+            Verbs: verbs.filter(() => random() < 0.15),
+            Father: father ? father.Name : "ROOT",
+            Children: [],
+        };
+    }
+
+    function word() {
+        const length = 2 + Math.floor(random() * 3);
+        return Array.from({length: length}, () => syllables[Math.floor(random() * syllables.length)]).join("");
+    }
+}
+
+// Pseudo-random numbers in [0, 1) from a seed (mulberry32)
+function randomGenerator(seed) {
+    let state = seed >>> 0;
+
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Time the main operations on the tree of "controller" (see Tree), waiting "pause" milliseconds between them for
+// the transitions. Resolves with a list of {step, milliseconds}, where the time includes the drawing of the next
+// frame.
+export async function measureTree(controller, {pause = 1000} = {}) {
+    // Deepest node along the last children, and its father (the root itself if it has no children)
+    let deepNode = controller.getData();
+    let deepFather = deepNode;
+    while (deepNode.Children.length > 0) {
+        deepFather = deepNode;
+        deepNode = deepNode.Children[deepNode.Children.length - 1];
+    }
+
+    const steps = [
+        ["collapse all", () => controller.collapse()],
+        ["expand all", () => controller.expand()],
+        ["select a deep node", () => controller.select(deepNode)],
+        ["collapse its father", () => controller.collapse(deepFather)],
+        ["expand its father", () => controller.expand(deepFather)],
+    ];
+
+    const results = [];
+    for (const [step, action] of steps) {
+        const start = performance.now();
+        action();
+        await nextFrame();
+
+        results.push({step: step, milliseconds: Math.round(performance.now() - start)});
+        await new Promise(resolve => setTimeout(resolve, pause));
+    }
+
+    return results;
+}
+
+function nextFrame() {
+    return new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+}
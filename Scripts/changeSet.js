@@ -0,0 +1,277 @@
+// Change-sets: the edits made on a hierarchy (nested format), written as a list of named operations instead of the
+// whole file, so the edits of several people can be replayed on the same hierarchy. A change-set file is
+//   {"format": "hierarchy-change-set", "version": 1, "base": <fingerprint>, "changes": [...]}
+// where "base" is the fingerprint (see sessionStore.js) of the hierarchy the edits were made on, and every change
+// (see the operations of hierarchyEdits.js) gives its nodes by their path of names from the root:
+//   {op: "move", node, father, index}          {op: "rename", node, name}
+//   {op: "list", node, field, from, to}        {op: "add", father, name, index}
+//   {op: "delete", node, promoteChildren}      {op: "merge", node, into}
+//   {op: "split", node, name, synonyms, verbs, children}      {op: "repair"}
+
+import {
+    addNodeOperation,
+    createNode,
+    deleteNodeOperation,
+    fieldsOperation,
+    groupOperation,
+    listOperation,
+    mergeOperation,
+    renameOperation,
+    reparentOperation,
+    splitOperation,
+} from "./hierarchyEdits.js";
+import {repairHierarchy} from "./hierarchyValidator.js";
+import {findByNames} from "./deepLink.js";
+
+export const CHANGE_SET_FORMAT = "hierarchy-change-set";
+const changeSetVersion = 1;
+
+// Text of the change-set file of "changes", made on the hierarchy with fingerprint "base": one change per line
+export function serializeChangeSet(changes, base) {
+    return "{" +
+        `"format": ${JSON.stringify(CHANGE_SET_FORMAT)}, ` +
+        `"version": ${changeSetVersion}, ` +
+        `"base": ${JSON.stringify(base ?? null)},\n` +
+        "\"changes\": [\n" + changes.map(change => JSON.stringify(change)).join(",\n") + "\n]}";
+}
+
+// Change-set in the parsed content of a file: {base, changes}. Throws an error if it is not a change-set.
+export function readChangeSet(raw) {
+    if (raw?.format !== CHANGE_SET_FORMAT || !Array.isArray(raw.changes)) {
+        throw new Error("This is not a change-set file (see \"Export changes\")");
+    }
+    if (raw.version !== changeSetVersion) {
+        throw new Error(`Change-sets of version ${raw.version} can not be read`);
+    }
+
+    return {base: raw.base ?? undefined, changes: raw.changes};
+}
+
+// Replay "changes" on "data", in order. A change whose nodes no longer match (e.g. a node moved, renamed or deleted
+// by someone else, or a list changed since) is a conflict and is skipped. A change already made is skipped too,
+// without conflict: a node already renamed, moved under its new father, merged or deleted (a node not found at its
+// path is taken as deleted), a child already added, a list already changed. A node not found at its path is also looked
+// for where the next changes (moves, renames, merges, splits) would have put it, in case they were already made.
+// Returns {operation, applied, conflicts}: "operation" groups the changes that can be made, to be pushed in the
+// edit history (undefined if none), "applied" lists their labels and "conflicts" lists {change, message}.
+// "data" is left unchanged.
+export function replayChangeSet(data, changes, label = "Apply change-set") {
+    const operations = [];
+    const conflicts = [];
+
+    // Every change is checked on the hierarchy as left by the previous ones
+    changes.forEach((change, i) => {
+        try {
+            const operation = changeOperation(data, change, changes.slice(i + 1));
+            if (operation) {
+                operation.apply();
+                operations.push(operation);
+            }
+        } catch (error) {
+            conflicts.push({change: change, message: error.message});
+        }
+    });
+    [...operations].reverse().forEach(operation => operation.revert());
+
+    return {
+        operation: operations.length > 0 ? groupOperation(label, operations) : undefined,
+        applied: operations.map(operation => operation.label),
+        conflicts: conflicts,
+    };
+}
+
+// Operation making "change" on "data", undefined if there is nothing to do; throws an error for a conflict.
+// "later" lists the next changes of the change-set.
+function changeOperation(data, change, later) {
+    switch (change?.op) {
+        case "move": {
+            // Already moved: the node is no longer at its path, but under its new father
+            if (foundElsewhere(data, change.node, change.father, change.node?.at(-1), later)) {
+                return undefined;
+            }
+
+            const {node, father} = findNode(data, change.node, later);
+            const newFather = findNode(data, change.father, later).node;
+            if (!father) {
+                throw new Error("The root can not be moved");
+            }
+            if (inSubtree(node, newFather)) {
+                throw new Error(`"${node.Name}" can not be moved under "${newFather.Name}", which is under it now`);
+            }
+
+            // Without a position, a node already under its new father is left where it is
+            if (newFather === father && change.index === undefined) {
+                return undefined;
+            }
+            const index = change.index === undefined ? undefined :
+                Math.min(change.index, newFather.Children.length - (newFather === father ? 1 : 0));
+            return reparentOperation(node, father, newFather, index);
+        }
+
+        case "rename": {
+            // Already renamed: the old name is gone, and the new one is in its place
+            if (foundElsewhere(data, change.node, change.node?.slice(0, -1), change.name, later)) {
+                return undefined;
+            }
+
+            const {node, father} = findNode(data, change.node, later);
+            checkFreeName(father, change.name);
+            return renameOperation(node, change.name);
+        }
+
+        case "list": {
+            const {node} = findNode(data, change.node, later);
+            if (change.field !== "Synonyms" && change.field !== "Verbs") {
+                throw new Error(`Unknown list "${change.field}"`);
+            }
+            if (sameList(node[change.field], change.to)) {
+                return undefined;
+            }
+            if (!sameList(node[change.field], change.from)) {
+                throw new Error(`${change.field} of "${node.Name}" were changed: ` +
+                    `[${change.from.join(", ")}] expected, found [${node[change.field].join(", ")}]`);
+            }
+            return listOperation(node, change.field, change.to);
+        }
+
+        case "add": {
+            const {node: father} = findNode(data, change.father, later);
+            if (father.Children.some(child => child.Name === change.name)) {
+                return undefined;       // Already added
+            }
+            const index = Math.min(change.index ?? father.Children.length, father.Children.length);
+            return addNodeOperation(createNode(father, change.name), father, index);
+        }
+
+        case "delete": {
+            if (!foundPath(data, change.node, later)) {
+                return undefined;       // Already deleted
+            }
+
+            const {node, father} = findNode(data, change.node, later);
+            if (!father) {
+                throw new Error("The root can not be deleted");
+            }
+            return deleteNodeOperation(node, father, !!change.promoteChildren);
+        }
+
+        case "merge": {
+            if (!foundPath(data, change.node, later) && foundPath(data, change.into, later)) {
+                return undefined;       // Already merged
+            }
+
+            const {node, father} = findNode(data, change.node, later);
+            const target = findNode(data, change.into, later).node;
+            if (!father) {
+                throw new Error("The root can not be merged into another node");
+            }
+            if (inSubtree(node, target)) {
+                throw new Error(`"${node.Name}" can not be merged into "${target.Name}", which is under it`);
+            }
+            return mergeOperation(node, father, target);
+        }
+
+        case "split": {
+            const {node, father} = findNode(data, change.node, later);
+            if (!father) {
+                throw new Error("The root can not be split");
+            }
+            checkFreeName(father, change.name);
+
+            const missing = [
+                ...change.synonyms.filter(synonym => !node.Synonyms.includes(synonym)),
+                ...change.verbs.filter(verb => !node.Verbs.includes(verb)),
+                ...change.children.filter(name => !node.Children.some(child => child.Name === name)),
+            ];
+            if (missing.length > 0) {
+                throw new Error(`"${node.Name}" has no longer ${missing.map(item => `"${item}"`).join(", ")}`);
+            }
+
+            return splitOperation(node, father, createNode(father, change.name), {
+                synonyms: change.synonyms,
+                verbs: change.verbs,
+                children: change.children.map(name => node.Children.find(child => child.Name === name)),
+            });
+        }
+
+        case "repair":
+            return fieldsOperation("Repair Hypers and Father", data, repairHierarchy, {op: "repair"});
+
+        default:
+            throw new Error(`Unknown change "${change?.op ?? change?.label}"`);
+    }
+}
+
+// Node at a path of names (see foundPath), with its father (undefined for the root); throws an error if there is
+// none
+function findNode(data, path, later) {
+    const found = foundPath(data, path, later);
+    if (!found) {
+        throw new Error(`There is no node "${[path].flat().join(" > ")}"`);
+    }
+
+    return {node: findByNames(data, found), father: findByNames(data, found.slice(0, -1))};
+}
+
+// True if there is no node at "path" any more, but there is one named "name" under the node at "fatherPath"
+function foundElsewhere(data, path, fatherPath, name, later) {
+    return Array.isArray(fatherPath) && !foundPath(data, path, later) &&
+        !!foundPath(data, [...fatherPath, name], later);
+}
+
+// Path of the node at "path", or at the path where the "later" changes move it; undefined if there is none
+function foundPath(data, path, later) {
+    if (!Array.isArray(path)) {
+        return undefined;
+    }
+    return [path, laterPath(path, later)].find(item => findByNames(data, item));
+}
+
+// Path where the "changes" move the node at "path"
+function laterPath(path, changes) {
+    return changes.reduce((current, change) => {
+        const node = Array.isArray(change?.node) ? change.node : [];
+        if (node.length === 0 || !node.every((name, i) => current[i] === name)) {
+            return current;
+        }
+
+        const rest = current.slice(node.length);
+        switch (change.op) {
+            case "move":
+                return Array.isArray(change.father) ? [...change.father, node.at(-1), ...rest] : current;
+            case "rename":
+                return [...node.slice(0, -1), change.name, ...rest];
+            case "merge":
+                return Array.isArray(change.into) ? [...change.into, ...rest] : current;
+            case "split":
+                return Array.isArray(change.children) && change.children.includes(rest[0]) ?
+                    [...node.slice(0, -1), change.name, ...rest] : current;
+            default:
+                return current;
+        }
+    }, path);
+}
+
+// A node named "name" would be a duplicate among the children of "father"
+function checkFreeName(father, name) {
+    if (father?.Children.some(child => child.Name === name)) {
+        throw new Error(`"${father.Name}" already has a child named "${name}"`);
+    }
+}
+
+// True if "other" is "node" or is under it
+function inSubtree(node, other) {
+    const stack = [node];
+    while (stack.length > 0) {
+        const item = stack.pop();
+        if (item === other) {
+            return true;
+        }
+        stack.push(...item.Children);
+    }
+    return false;
+}
+
+function sameList(a, b) {
+    return Array.isArray(b) && a.length === b.length && a.every((item, i) => item === b[i]);
+}
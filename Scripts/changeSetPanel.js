@@ -0,0 +1,52 @@
+// Panel of the change-sets (see changeSet.js): export the edits made since the hierarchy was opened ("onExport"),
+// and apply a change-set file of someone else ("onApply" with the file), then read the changes that could not be
+// made. Clicking a conflict calls "onSelect" with the nearest node of its path still in the hierarchy.
+// Aborting "signal" removes the listeners added to the elements.
+
+export function createChangeSetPanel({summary, list, exportButton, applyButton, input}, {
+    onExport,
+    onApply,
+    onSelect,
+}, {signal = undefined} = {}) {
+    exportButton.addEventListener("click", onExport, {signal: signal});
+    applyButton.addEventListener("click", () => input.click(), {signal: signal});
+    input.addEventListener("change", () => {
+        if (input.files.length > 0) {
+            onApply(input.files[0]);
+        }
+        input.value = "";      // The same file can be chosen again
+    }, {signal: signal});
+
+    // Number of edits that can be exported
+    function update(count) {
+        exportButton.disabled = count === 0;
+        exportButton.title = `${count} edit${count === 1 ? "" : "s"} since the hierarchy was opened`;
+    }
+
+    // Show the result of the change-set applied last: {fileName, applied, conflicts} (see replayChangeSet), or
+    // nothing if undefined
+    function show(result) {
+        if (!result) {
+            summary.textContent = "";
+            d3.select(list).selectAll("li").remove();
+            return;
+        }
+
+        summary.textContent = `"${result.fileName}": ${result.applied.length} change` +
+            `${result.applied.length === 1 ? "" : "s"} applied, ${result.conflicts.length} ` +
+            `conflict${result.conflicts.length === 1 ? "" : "s"}`;
+
+        d3.select(list)
+            .selectAll("li")
+            .data(result.conflicts)
+            .join("li")
+            .attr("title", d => JSON.stringify(d.change))
+            .text(d => `${d.change?.op ?? "?"}: ${d.message}`)
+            .on("click", (event, d) => onSelect(d.change));
+    }
+
+    return {
+        update: update,
+        show: show,
+    };
+}
@@ -0,0 +1,52 @@
+// Panel of the compare mode: choose the older version of the hierarchy, then read (and export) the list of
+// changes made since it. Clicking a change calls "onSelect" with its node.
+// Aborting "signal" removes the listeners added to the elements.
+
+import {formatChange} from "./hierarchyDiff.js";
+
+export function createComparePanel({summary, list, openButton, input, exportButton, closeButton}, {
+    onOpen,
+    onSelect,
+    onExport,
+    onClose,
+}, {signal = undefined} = {}) {
+    openButton.addEventListener("click", () => input.click(), {signal: signal});
+    input.addEventListener("change", () => {
+        if (input.files.length > 0) {
+            onOpen(input.files[0]);
+        }
+        input.value = "";      // The same file can be chosen again
+    }, {signal: signal});
+    exportButton.addEventListener("click", onExport, {signal: signal});
+    closeButton.addEventListener("click", onClose, {signal: signal});
+
+    // Show the differences computed by diffHierarchies with the version "baseName", or nothing if "diff" is
+    // undefined (compare mode closed)
+    function show(diff, baseName) {
+        exportButton.disabled = !diff;
+        closeButton.disabled = !diff;
+
+        if (!diff) {
+            summary.textContent = "";
+            d3.select(list).selectAll("li").remove();
+            return;
+        }
+
+        const counts = d3.rollups(diff.changes, v => v.length, d => d.kind)
+            .map(([kind, count]) => `${count} ${kind}`)
+            .join(", ");
+        summary.textContent = `Changes since "${baseName}": ${diff.changes.length === 0 ? "none" : counts}`;
+
+        d3.select(list)
+            .selectAll("li")
+            .data(diff.changes)
+            .join("li")
+            .attr("class", d => "diff_" + d.kind)
+            .text(formatChange)
+            .on("click", (event, d) => onSelect(d.node));
+    }
+
+    return {
+        show: show,
+    };
+}
@@ -0,0 +1,88 @@
+// Context menu shown over the page, filled with a list of items {label, action, disabled}.
+// An item whose action returns a new list of items replaces the menu content (e.g. for a confirmation step).
+// The menu can be used with the keyboard: arrows move between items, and the focus goes back where it was
+// when the menu is closed.
+// Aborting "signal" removes the listeners added to the page.
+
+export function createContextMenu(element, {signal = undefined} = {}) {
+    const menu = d3.select(element)
+        .attr("role", "menu")
+        .style("display", "none");
+
+    let previousFocus = undefined;  // Element focused before the menu was shown
+
+    // Close the menu on a click outside it, on Escape or when the page is scrolled
+    document.addEventListener("mousedown", event => {
+        if (!element.contains(event.target)) {
+            hide();
+        }
+    }, {signal: signal});
+    document.addEventListener("keydown", event => {
+        if (event.key === "Escape") {
+            hide();
+        }
+    }, {signal: signal});
+    window.addEventListener("scroll", hide, {signal: signal});
+
+    // Up/Down arrows move the focus between the enabled items
+    menu.on("keydown", event => {
+        if (event.key !== "ArrowDown" && event.key !== "ArrowUp") {
+            return;
+        }
+        event.preventDefault();
+
+        const buttons = menu.selectAll("button:not([disabled])").nodes();
+        const position = buttons.indexOf(document.activeElement);
+        const step = event.key === "ArrowDown" ? 1 : -1;
+        buttons[(position + step + buttons.length) % buttons.length]?.focus();
+    });
+
+    function show(pageX, pageY, items) {
+        if (menu.style("display") === "none") {
+            previousFocus = document.activeElement;
+        }
+
+        menu.style("left", pageX + "px")
+            .style("top", pageY + "px")
+            .style("display", null);
+
+        fill(items);
+    }
+
+    function fill(items) {
+        menu.selectAll("button")
+            .data(items)
+            .join("button")
+            .attr("type", "button")
+            .attr("role", "menuitem")
+            .property("disabled", d => !!d.disabled)
+            .text(d => d.label)
+            .on("click", (event, d) => {
+                // Focus is back in place before the action, which may move it somewhere else
+                hide();
+                const nextItems = d.action();
+
+                if (nextItems) {
+                    menu.style("display", null);
+                    fill(nextItems);
+                }
+            });
+
+        menu.select("button:not([disabled])")
+            .each(function () {
+                this.focus();
+            });
+    }
+
+    function hide() {
+        if (element.contains(document.activeElement)) {
+            previousFocus?.focus({preventScroll: true});
+        }
+        menu.style("display", "none");
+    }
+
+    return {
+        show: show,
+        hide: hide,
+    };
+}
@@ -1,9 +1,108 @@
 // Function resulting from: https://observablehq.com/@d3/collapsible-tree
 
-export function Tree(data, {                                    // "data" is hierarchy (nested objects)
+import {createSearchBox} from "./searchBox.js";
+import {
+    FLAT_FORMAT,
+    NESTED_FORMAT,
+    nestedToFlat,
+    serializeFlat,
+    serializeNested,
+    toNestedHierarchy,
+} from "./hierarchyFormats.js";
+import {createEditHistory} from "./editHistory.js";
+import {
+    addNodeOperation,
+    createNode,
+    deleteNodeOperation,
+    fieldsOperation,
+    groupOperation,
+    listOperation,
+    mergeOperation,
+    renameOperation,
+    reparentOperation,
+    splitOperation,
+} from "./hierarchyEdits.js";
+import {createNodeEditor} from "./nodeEditor.js";
+import {createContextMenu} from "./contextMenu.js";
+import {repairHierarchy, validateHierarchy} from "./hierarchyValidator.js";
+import {createValidationPanel} from "./validationPanel.js";
+import {createSelectionPanel} from "./selectionPanel.js";
+import {readHierarchyFile} from "./fileLoader.js";
+import {createTreeZoom} from "./treeZoom.js";
+import {createLayout, labelPlacement, layoutNames} from "./treeLayouts.js";
+import {navigationAction} from "./treeKeyboard.js";
+import {createVerbExplorer, matchVerbs} from "./verbExplorer.js";
+import {exportFormats} from "./exportFormats.js";
+import {svgToPng, treeToSvg} from "./imageExport.js";
+import {diffHierarchies, formatChange} from "./hierarchyDiff.js";
+import {createComparePanel} from "./comparePanel.js";
+import {createSessionStore, fingerprint, nodeAtPath, nodePaths} from "./sessionStore.js";
+import {findByNames, formatLink, parseLink} from "./deepLink.js";
+import {createNodeIndex} from "./nodeIndex.js";
+import {categoryKey, nodeMetrics, subtreeStats} from "./subtreeStats.js";
+import {createStatsPanel} from "./statsPanel.js";
+import {createDuplicatePanel} from "./duplicatePanel.js";
+import {createSplitDialog} from "./splitDialog.js";
+import {readChangeSet, replayChangeSet, serializeChangeSet} from "./changeSet.js";
+import {createChangeSetPanel} from "./changeSetPanel.js";
+
+// Orders of the children of a node, for the "order" control
+const childOrders = {
+    name: "By name",
+    file: "As in the file",
+};
+
+// While a node is dragged near an edge of the window (within "dragScrollEdge" pixels), the view moves by
+// "dragScrollStep" pixels every frame
+const dragScrollEdge = 30;
+const dragScrollStep = 8;
+
+// Draw an editable tree of "data" in the SVG element "svg", and return a controller for the host page:
+//   on(type, listener)  listen to an event (d3.dispatch, so "type" can be e.g. "nodeSelected.myPanel"):
+//                       - "nodeSelected" ({node}): the node (data) with the infoBox changed, undefined if none;
+//                       - "nodeMoved" ({node, oldFather, newFather}): a node was moved under another one;
+//                       - "dirtyChanged" ({dirty}): the hierarchy differs (or not) from the loaded or saved one;
+//                       - "dataChanged" (): the hierarchy was loaded or edited (also by undo and redo);
+//                       - "message" ({text, isError}): a message for the user (also shown in "controls.message")
+//   setData(data)       show another hierarchy (nested or flat format), throwing an error if it is not recognized
+//   getData()           the hierarchy being edited, in nested format (to read only)
+//   isDirty(), save()   edits not saved yet; save the hierarchy as a file (in the format of "controls.file.saveFormat",
+//                       or of the loaded data), or on the sync server (see "sync")
+//   expand(node), collapse(node), select(node)
+//                       open or close a node (every node if undefined), or open its infoBox (close it if undefined);
+//                       a node is an object of getData() or its path of names from the root, e.g. ["object", "dish"]
+//   selected()          the node (data) with the infoBox, undefined if none
+//   destroy()           remove the tree and every listener added to the page and to the given elements
+//
+// The tools of the host page are given in "controls", by tool; every tool (and element) is optional:
+//   file: {openButton, openInput, saveButton, saveFormat}, edit: {undoButton, redoButton},
+//   zoom: {inButton, outButton, fitButton, nodeButton}, layout: <select>, order: <select>, export: {select, button},
+//   image: {region, format, scale, legend, button}, encoding: {sizeSelect, colorSelect}, message: element,
+//   validation, selection, stats, duplicates, search, verbs, compare, changeSet (elements of createValidationPanel,
+//   createSelectionPanel, createStatsPanel, createDuplicatePanel, createSearchBox, createVerbExplorer,
+//   createComparePanel and createChangeSetPanel).
+// With "sync" (see syncClient.js), "data" is the hierarchy loaded from a sync server and saves go to the server,
+// until another file is opened.
+// Features changing the page (undo shortcuts on the page, files dropped on the page, autosave, view in the URL) are
+// enabled by "shortcutScope", "fileDropTarget", "sessionKey" and "linkInUrl"; only one tree of a page should use
+// the last two.
+export function Tree(data, {                                    // "data" is hierarchy (nested objects or flat list)
+    svg: svgElement,                                            // SVG element to draw in
+    minimap: minimapElement = undefined,                        // SVG element for the minimap
+    legend: legendElement = undefined,                          // Element of the legend (see createLegend)
+    sizeBy = undefined,                                         // Metric for the size of nodes (see subtreeStats.js)
+    colorBy = undefined,                                        // Metric (or "category") for the colour of nodes
+    controls = {},                                              // Tools of the host page (see above)
+    shortcutScope = svgElement,                                 // Element (or document) where Ctrl+Z/Ctrl+Y work
+    fileDropTarget = undefined,                                 // Element where hierarchy files can be dropped
+    sessionKey = undefined,                                     // Browser storage key of the autosaved session
+    linkInUrl = false,                                          // Keep the view in the URL hash
+    sync = undefined,                                           // Client of the sync server "data" comes from
     children,                                                   // Given a d in data, returns its children
     tree = d3.tree,                                             // Layout algorithm (typically d3.tree or d3.cluster)
-    diagonal = d3.linkHorizontal().x(d => d.y).y(d => d.x),
+    diagonal = d3.linkHorizontal().x(d => d.y).y(d => d.x),    // Link shape for the horizontal layout
+    layout: layoutName = "horizontal",                          // Initial layout (see treeLayouts.js)
+    childOrder = "name",                                        // Order of the children: "name" or "file"
     width = 640,                                                // Outer width, in pixels
     nodeCircleRadius = 3,                                       // Radius of nodes
     labelSpacing = 7,                                           // Label spacing to node
@@ -11,45 +110,409 @@ export function Tree(data, {                                    // "data" is hie
     nodeLeafClass = "",                                         // Class for nodes without children
     nodeCollClass = "",                                         // Class for collapsed nodes with children
     dndThreshold = 30,                                          // Threshold for drag and drop
+    dragExpandDelay = 800,                                      // Hover time to open a collapsed node while dragging
+    virtualThreshold = 2000,                                    // Above this many nodes, only nodes in view are drawn
     transitionDuration = 500,                                   // Duration for transitions (milliseconds)
 } = {}) {
 
     let root = undefined;
     let infoBox = undefined;
     let clickTimer = undefined;
+    let revealTarget = undefined;
+    let collapsedData = new Set();  // Nodes (data) to collapse when the tree is re-created
+    let focusedData = undefined;    // Node (data) reached with Tab, moved with the arrows
+    let cutData = undefined;        // Node (data) cut with the keyboard, to be moved under another one
+    let pickedData = new Set();     // Nodes (data) selected together, to be moved at once
+    let picking = undefined;        // After "Move to..." or "Merge into...": {onPick, cancelled, forSelection},
+                                    // the next clicked node is given to "onPick"
+    let lassoPoints = undefined;    // While the lasso is drawn: its points ([x, y], screen coordinates of the tree)
+    let verbMatch = {matches: new Set(), paths: new Set()};    // Nodes found by the verb explorer
+    let verbDimmed = false;         // Nodes not found by the verb explorer are dimmed
+    let prunedView = false;         // Nodes not found by the verb explorer are hidden
+    let comparison = undefined;     // Compare mode: {base, baseName}, the older version of the hierarchy
+    let diff = undefined;           // Compare mode: differences between "base" and the current hierarchy
+    let stats = undefined;          // Statistics of the subtrees (see subtreeStats.js), if shown or used by the scales
+    let sizeScale = undefined;      // Scales of the size and colour of nodes, for "sizeBy" and "colorBy"
+    let colorScale = undefined;
 
     const dx = 12;
     let dy = 0;
 
     let defaultViewBox;
-
+    let layout = createLayout(layoutName, {tree, diagonal});
+    let layoutNodes = [];           // Nodes and links placed by the layout (drawn or not)
+    let layoutLinks = [];
+    let nodeIndex = createNodeIndex([]);    // Spatial index of the placed nodes
+    let dragged = undefined;        // While a node is dragged: {item, subtree, x, y, between, drop, ...} (see dragging)
+
+    let detachedRecords = [];       // Flat records not reachable from the root, written back unchanged
+    let fileFormat = NESTED_FORMAT; // Format for save, by default the same of the loaded data
+    let sourceName = undefined;     // Name of the opened file (without extension), if any
+    let sourceFingerprint = undefined;  // Signature of the loaded file, to know if it changes
+    let syncing = !!sync;               // Saves go to the sync server
+    let serverSaving = false;           // A save to the sync server is in progress
+    let restoredChanges = [];           // Changes not saved of the restored session, made before the edit history
+    let linkEnabled = false;        // The URL follows the view, once the view of the starting URL is shown
+    let viewTimer = undefined;
+    let selectedData = undefined;   // Node (data) of the infoBox, as last told to the host page
+    let wasDirty = false;           // Dirty state, as last told to the host page
+
+    // --- Events for the host page, and listeners to remove on destroy ---
+    const events = d3.dispatch("nodeSelected", "nodeMoved", "dirtyChanged", "dataChanged", "message");
+    const listeners = new AbortController();
+    const signal = listeners.signal;
 
     // --- Main SVG box ---
-    const svg = d3.select("#graph")
+    const svg = d3.select(svgElement)
         .attr("viewBox", [0, -5, width, dx]);
 
+    // --- Zoom group, holding strokes and nodes ---
+    const gZoom = svg.append("g")
+        .attr("class", "groupZoom");
+
     // --- Stroke group ---
-    const gLink = svg.select("#groupStroke");
+    const gLink = gZoom.append("g")
+        .attr("class", "groupStroke");
+
+    // --- Marks group: link to the new father of a dragged node, lasso around the nodes to select ---
+    const gMarks = gZoom.append("g")
+        .attr("class", "groupMarks");
 
     // --- Node group ---
-    const gNode = svg.select("#groupNode")
+    const gNode = gZoom.append("g")
+        .attr("class", "groupNode")
         .attr("cursor", "pointer")
-        .attr("pointer-events", "all");
+        .attr("pointer-events", "all")
+        .attr("role", "tree")
+        .attr("aria-label", "Hierarchy");
+
+    // --- Zoom, pan and minimap ---
+    const treeZoom = createTreeZoom(svg.node(), gZoom.node(), minimapElement, {
+        transitionDuration: transitionDuration,
+        onViewChange: () => {
+            // Large trees: draw the nodes that came into view
+            if (layoutNodes.length > virtualThreshold) {
+                drawItems();
+            }
+        },
+        signal: signal,
+    });
+    const zoomTools = controls.zoom ?? {};
+    const zoomToNodeButton = zoomTools.nodeButton;
+    zoomTools.inButton?.addEventListener("click", () => treeZoom.scaleBy(1.5), {signal: signal});
+    zoomTools.outButton?.addEventListener("click", () => treeZoom.scaleBy(1 / 1.5), {signal: signal});
+    zoomTools.fitButton?.addEventListener("click", () => treeZoom.fit(), {signal: signal});
+    zoomToNodeButton?.addEventListener("click", () => {
+        if (infoBox) {
+            const d = infoBox.datum();
+            treeZoom.centerOn(d.y, d.x, Math.max(treeZoom.scale(), 2));
+        }
+    }, {signal: signal});
+    updateZoomToNodeButton();
+
+    // --- Layout selector ---
+    const layoutSelect = d3.select(controls.layout ?? null);
+    layoutSelect.selectAll("option")
+        .data(Object.entries(layoutNames))
+        .join("option")
+        .attr("value", ([key]) => key)
+        .text(([, label]) => label);
+    layoutSelect.property("value", layoutName)
+        .on("change", event => changeLayout(event.target.value));
+
+    // --- Order of the children ---
+    const orderSelect = d3.select(controls.order ?? null);
+    orderSelect.selectAll("option")
+        .data(Object.entries(childOrders))
+        .join("option")
+        .attr("value", ([key]) => key)
+        .text(([, label]) => label);
+    orderSelect.property("value", childOrder)
+        .on("change", event => changeChildOrder(event.target.value));
+
+    // --- Open and save buttons, format for save ---
+    const fileTools = controls.file ?? {};
+    const saveButton = fileTools.saveButton;
+    const saveFormat = fileTools.saveFormat;
+    saveButton?.addEventListener("click", updatedDataSave, {signal: signal});
+    saveFormat?.addEventListener("change", () => {
+        fileFormat = saveFormat.value;
+    }, {signal: signal});
+
+    // --- Edit history, with undo/redo buttons and Ctrl+Z / Ctrl+Shift+Z ---
+    const history = createEditHistory({
+        onChange: () => {
+            updateEditButtons();
+            validateData();
+            updatePicked();
+            updateStats();
+            duplicatePanel?.refresh();
+            changeSetPanel?.update(history.operations().length);
+
+            // Verbs and nodes may have changed
+            refreshVerbExplorer();
+            matchSelectedVerbs();
+            highlightVerbs();
+            compareData();
+            autosave();
+
+            events.call("dataChanged", controller);
+        },
+    });
+    let verbRefreshPending = false;
+
+    // The verb explorer is refreshed once the edit (or the edits made together) is done: it redraws the tree when
+    // selected verbs are gone, and the d3 nodes still used by the code making the edit would then be replaced
+    function refreshVerbExplorer() {
+        if (!verbExplorer || verbRefreshPending) {
+            return;
+        }
+        verbRefreshPending = true;
+
+        queueMicrotask(() => {
+            verbRefreshPending = false;
+            if (!signal.aborted) {
+                verbExplorer.refresh();
+            }
+        });
+    }
+
+    const undoButton = controls.edit?.undoButton;
+    const redoButton = controls.edit?.redoButton;
+    undoButton?.addEventListener("click", undoEdit, {signal: signal});
+    redoButton?.addEventListener("click", redoEdit, {signal: signal});
+
+    shortcutScope?.addEventListener("keydown", event => {
+        // Do not steal the shortcuts from text fields
+        if (event.target.closest("input, textarea, select")) {
+            return;
+        }
+
+        // Escape stops the "Move to..." of the selection, or the "Merge into..." of a node
+        if (event.key === "Escape") {
+            cancelPicking();
+        }
 
-    // --- Button in infoBox ---
-    const saveButton = document.getElementById("dlButton");
-    saveButton.disabled = true;
-    saveButton.addEventListener("click", updatedDataSave);
+        const key = event.key.toLowerCase();
+        if ((event.ctrlKey || event.metaKey) && (key === "z" || key === "y")) {
+            event.preventDefault();
+
+            if (key === "y" || event.shiftKey) {
+                redoEdit();
+            } else {
+                undoEdit();
+            }
+        }
+    }, {signal: signal});
+    updateEditButtons();
+
+    // --- Integrity check, on load and after every edit ---
+    let issues = [];
+    const validationPanel = controls.validation && createValidationPanel(controls.validation, {
+        onSelect: revealNode,
+        onRepair: repairData,
+    }, {signal: signal});
+
+    // --- Statistics of the subtree of the selected node, size and colour of nodes by a metric ---
+    const statsPanel = controls.stats && createStatsPanel(controls.stats, {
+        onSelect: revealNode,
+    }, {signal: signal});
+
+    const encodingTools = controls.encoding ?? {};
+    const sizeOptions = [["", "Same for all"], ...Object.entries(nodeMetrics)];
+    const colorOptions = [["", "By kind of node"], ...Object.entries(nodeMetrics), [categoryKey, "Top-level category"]];
+    [
+        {select: encodingTools.sizeSelect, options: sizeOptions, value: sizeBy, change: value => sizeBy = value},
+        {select: encodingTools.colorSelect, options: colorOptions, value: colorBy, change: value => colorBy = value},
+    ].forEach(({select, options, value, change}) => {
+        d3.select(select ?? null)
+            .call(selection => selection.selectAll("option")
+                .data(options)
+                .join("option")
+                .attr("value", ([key]) => key)
+                .text(([, label]) => label))
+            .property("value", value ?? "")
+            .on("change", event => {
+                change(event.target.value || undefined);
+                updateStats();
+                drawLegend();
+                markEncoding();
+            });
+    });
+
+    // --- Nodes selected together: Ctrl/Shift+click on nodes, Shift+drag on the background (lasso) ---
+    const selectionPanel = controls.selection && createSelectionPanel(controls.selection, {
+        onMove: startPickingFather,
+        onClear: () => setPicked([]),
+    }, {signal: signal});
+    selectionPanel?.show([]);
+
+    svg.call(d3.drag()
+        .filter(event => event.shiftKey && !event.button && !gNode.node().contains(event.target))
+        .container(gZoom.node())
+        .on("start", lassoStart)
+        .on("drag", lassoMove)
+        .on("end", lassoEnd));
+
+    // --- Duplicate concepts, to be merged ---
+    const duplicatePanel = controls.duplicates && createDuplicatePanel(controls.duplicates, {
+        getData: () => data,
+        onSelect: revealNode,
+        onMerge: mergeDuplicates,
+    }, {signal: signal});
+
+    // --- Open a file, with the button or dropping it on the page ---
+    const messageLine = controls.message;
+    const openInput = fileTools.openInput;
+    fileTools.openButton?.addEventListener("click", () => openInput.click(), {signal: signal});
+    openInput?.addEventListener("change", () => {
+        if (openInput.files.length > 0) {
+            openFile(openInput.files[0]);
+        }
+        openInput.value = "";      // The same file can be chosen again
+    }, {signal: signal});
+
+    fileDropTarget?.addEventListener("dragover", event => {
+        if (event.dataTransfer.types.includes("Files")) {
+            event.preventDefault();
+            fileDropTarget.classList.add("fileDragOver");
+        }
+    }, {signal: signal});
+    fileDropTarget?.addEventListener("dragleave", event => {
+        if (!fileDropTarget.contains(event.relatedTarget)) {
+            fileDropTarget.classList.remove("fileDragOver");
+        }
+    }, {signal: signal});
+    fileDropTarget?.addEventListener("drop", event => {
+        if (event.dataTransfer.types.includes("Files")) {
+            event.preventDefault();
+            fileDropTarget.classList.remove("fileDragOver");
+            openFile(event.dataTransfer.files[0]);
+        }
+    }, {signal: signal});
+
+    // --- Context menu on nodes ---
+    const contextMenuElement = document.body.appendChild(document.createElement("div"));
+    contextMenuElement.className = "contextMenu";
+    const contextMenu = createContextMenu(contextMenuElement, {signal: signal});
+
+    const splitDialogElement = document.body.appendChild(document.createElement("dialog"));
+    const splitDialog = createSplitDialog(splitDialogElement, {signal: signal});
+
+    // --- Export to other formats ---
+    const exportSelect = d3.select(controls.export?.select ?? null);
+    exportSelect.selectAll("option")
+        .data(Object.entries(exportFormats))
+        .join("option")
+        .attr("value", ([key]) => key)
+        .text(([, format]) => format.label);
+    controls.export?.button?.addEventListener("click", exportData, {signal: signal});
+
+    // --- Export of the drawn tree as an image ---
+    const imageTools = controls.image;
+    if (imageTools) {
+        const updateScale = () => {
+            imageTools.scale.disabled = imageTools.format.value !== "png";     // SVG images can be scaled at will
+        };
+        imageTools.format.addEventListener("change", updateScale, {signal: signal});
+        updateScale();
+        imageTools.button.addEventListener("click", exportImage, {signal: signal});
+    }
+
+    // --- Search box ---
+    const searchBox = controls.search && createSearchBox(controls.search, {
+        getData: () => data,
+        onSelect: revealNode,
+    }, {signal: signal});
+
+    // --- Verb explorer ---
+    const verbExplorer = controls.verbs && createVerbExplorer(controls.verbs, {
+        getData: () => data,
+        onChange: showVerbs,
+    }, {signal: signal});
+
+    // --- Compare mode, with an older version of the hierarchy ---
+    const comparePanel = controls.compare && createComparePanel(controls.compare, {
+        onOpen: openComparison,
+        onSelect: revealNode,
+        onExport: exportChanges,
+        onClose: closeComparison,
+    }, {signal: signal});
+    comparePanel?.show(undefined);
+
+    // --- Change-sets: the edits as a list of operations, to export or to replay on the hierarchy ---
+    const changeSetPanel = controls.changeSet && createChangeSetPanel(controls.changeSet, {
+        onExport: exportChangeSet,
+        onApply: applyChangeSetFile,
+        onSelect: revealChange,
+    }, {signal: signal});
+
+    // --- Session autosaved in the browser ---
+    const sessionStore = sessionKey && createSessionStore({
+        key: sessionKey,
+        onError: error => showMessage(`The session can not be saved in the browser: ${error.message}`, true),
+        signal: signal,
+    });
+
+    // --- View in the URL, with back/forward navigation between selected nodes ---
+    if (linkInUrl) {
+        window.addEventListener("popstate", applyLink, {signal: signal});
+    }
+
+    // --- Controller for the host page (see the top of the function) ---
+    const controller = {
+        on(type, listener) {
+            events.on(type, listener);
+            return controller;
+        },
+        setData(newData) {
+            loadHierarchy(newData);
+            sourceName = undefined;
+            sourceFingerprint = fingerprint(newData);
+            syncing = false;
+            updateEditButtons();
+        },
+        getData: () => data,
+        isDirty: () => history.isDirty(),
+        save: updatedDataSave,
+        expand: node => setExpanded(node, true),
+        collapse: node => setExpanded(node, false),
+        select(node) {
+            if (node === undefined) {
+                removeInfoBox();
+            } else {
+                revealNode(hostNode(node));
+            }
+        },
+        selected: () => selectedData,
+        destroy() {
+            removeInfoBox();
+            stopDragging();
+            clearTimeout(clickTimer);
+            clearTimeout(viewTimer);
+            listeners.abort();
+
+            svg.interrupt()
+                .on(".drag", null);
+            gZoom.remove();
+            contextMenuElement.remove();
+            splitDialog.close();
+            splitDialogElement.remove();
+        },
+    };
 
     // Update is called every time the graph is modified
-    // (aka on creation, re-creation or if a node is collapsed or opened)
+    // (aka on creation, re-creation or if a node is collapsed or opened).
+    // Returns the transition, so callers can wait for its end.
     function graphUpdate(event, source) {
         // Source is undefined only at creation
         if (!source) {
             // We assume that the data is specified as an object {children} with nested objects
             // (a.k.a. the flare.json format), and use d3.hierarchy
-            root = d3.hierarchy(data, children);
-            root.sort((a, b) => d3.ascending(a.data.Name, b.data.Name));
+            root = d3.hierarchy(data, drawnChildren);
+            if (childOrder === "name") {
+                root.sort((a, b) => d3.ascending(a.data.Name, b.data.Name));
+            }
 
             // Compute the initial layout
             dy = width / (root.height + 1);
@@ -59,7 +522,13 @@ export function Tree(data, {                                    // "data" is hie
             root.descendants().forEach((d, i) => {
                 d.id = i;
                 d._children = d.children;
+
+                // Keep collapsed the nodes that were collapsed before the re-creation
+                if (collapsedData.has(d.data)) {
+                    d.children = null;
+                }
             });
+            collapsedData = new Set();
 
             source = root;
         }
@@ -68,44 +537,120 @@ export function Tree(data, {                                    // "data" is hie
         const links = root.links();
 
         // Compute the new tree layout.
-        tree().nodeSize([dx, dy])(root);
+        layout.place(root, dx, dy);
+
+        // Find the area taken by the nodes (screen coordinates: d.y horizontal, d.x vertical)
+        const [left, right] = d3.extent(nodes, d => d.y);
+        const [top, bottom] = d3.extent(nodes, d => d.x);
+        const margins = layout.margins;
+
+        defaultViewBox = [
+            left - margins.left,
+            top - margins.top,
+            Math.max(width, right - left + margins.left + margins.right),
+            bottom - top + margins.top + margins.bottom,
+        ];
+        const transition = svg.transition()
+            .duration(transitionDuration)
+            .attr("viewBox", defaultViewBox)
+            .tween("resize", window.ResizeObserver ? null : () => () => svg.dispatch("toggle"))
+            .on("end.minimap", treeZoom.updateViewport);
 
-        let x0 = Infinity, x1 = -x0;
-        root.each(d => {            // Getting max and min heights
-            if (d.x > x1) x1 = d.x;
-            if (d.x < x0) x0 = d.x;
-        });
+        treeZoom.updateMinimap(root);
+
+        layoutNodes = nodes;
+        layoutLinks = links;
+        nodeIndex = createNodeIndex(nodes);
+
+        // Large trees: once the view is in place, draw the nodes that came into view
+        if (nodes.length > virtualThreshold) {
+            transition.on("end.draw", () => drawItems());
+        }
 
-        // Find new left-most and right-most nodes
-        let left = root;
-        let right = root;
-        root.eachBefore(node => {
-            if (node.x < left.x) left = node;
-            if (node.x > right.x) right = node;
+        drawItems(source, transition);
+
+        // Stash the old positions for transition.
+        root.eachBefore(d => {
+            d.x0 = d.x;
+            d.y0 = d.y;
         });
-        const height = right.x - left.x + 10;
 
+        autosave();
+        viewChanged();
 
-        defaultViewBox = [-40, left.x - 5, width, height];
-        const transition = svg.transition()
-            .duration(transitionDuration)
-            .attr("viewBox", defaultViewBox)
-            .tween("resize", window.ResizeObserver ? null : () => () => svg.dispatch("toggle"));
+        return transition;
+    }
+
+    // Nodes and links to draw: all of them, or for large trees the ones in view (with a margin around it) plus the
+    // nodes that need an element (root, focused, selected and dragged nodes). The link between a dragged node and
+    // its father is not drawn.
+    function drawnItems() {
+        let nodes = layoutNodes;
+        let links = layoutLinks;
+
+        if (nodes.length > virtualThreshold) {
+            const area = treeZoom.visibleArea() ?? {x: 0, y: 0, width: 0, height: 0};
+            const margin = Math.max(area.width, area.height) / 2;
+            const left = area.x - margin;
+            const right = area.x + area.width + margin;
+            const top = area.y - margin;
+            const bottom = area.y + area.height + margin;
+
+            const drawn = new Set(nodeIndex.inArea({x: left, y: top, width: right - left, height: bottom - top}));
+            [root, infoBox?.datum(), nodes.find(d => d.data === focusedData), dragged?.item]
+                .filter(d => d)
+                .forEach(d => drawn.add(d));
+
+            nodes = nodes.filter(d => drawn.has(d));
+            links = links.filter(d => drawn.has(d.target) || drawn.has(d.source) ||
+                (Math.min(d.source.y, d.target.y) <= right && Math.max(d.source.y, d.target.y) >= left &&
+                    Math.min(d.source.x, d.target.x) <= bottom && Math.max(d.source.x, d.target.x) >= top));
+        }
+
+        if (dragged) {
+            links = links.filter(d => d.target !== dragged.item);
+        }
+
+        return {nodes: nodes, links: links};
+    }
+
+    // Draw the nodes and links placed by the layout, moving them from "source" with "transition".
+    // Without a transition (e.g. after a pan of a large tree), new nodes and links are drawn in place at once.
+    function drawItems(source = undefined, transition = undefined) {
+        const {nodes, links} = drawnItems();
 
         // Update the nodes
-        const node = gNode.selectAll("g")
+        const node = gNode.selectChildren("g")
             .data(nodes, d => d.id);
 
         // Enter any new nodes at the parent's previous position.
         const nodeEnter = node.enter()
             .append("g")
-            .attr("transform", () => `translate(${source.y0},${source.x0})`);
+            .attr("transform", d => transition ? `translate(${source.y0},${source.x0})` : `translate(${d.y},${d.x})`);
 
         // OnClick event: check if single or multiple click, then disambiguate function
         nodeEnter.on("click", (event, d) => {
+            // Ctrl/Cmd or Shift+click: add the node to the selection, or take it away
+            if (event.ctrlKey || event.metaKey || event.shiftKey) {
+                togglePicked(d);
+                return;
+            }
+
+            // After "Move to..." or "Merge into...": the clicked node is the one asked for
+            if (picking) {
+                const onPick = picking.onPick;
+                picking = undefined;
+                onPick(d);
+                return;
+            }
+
             // Save target element
             const target = event.currentTarget;
 
+            // Keyboard navigation goes on from the clicked node
+            focusedData = d.data;
+            updateTabIndex(d);
+
             if (clickTimer === undefined) {
                 clickTimer = setTimeout(function() { // 300ms timer for more than one click
                     // Timer reset
@@ -119,275 +664,1669 @@ export function Tree(data, {                                    // "data" is hie
                 clearTimeout(clickTimer);
                 clickTimer = undefined;
 
-                // If infoBox is opened, delete it
-                removeInfoBox()
+                toggleNode(event, d, target);
+            }
+        })
+
+        // OnContextMenu event: add or delete nodes
+        nodeEnter.on("contextmenu", nodeContextMenu);
+
+        // OnKeyDown event: navigation and edits with the keyboard
+        nodeEnter.on("keydown", nodeKeyDown);
+
+        // OnDrag event: drag a node, eventually updating the underlying structure
+        nodeEnter.call(d3.drag()
+            .on("start", draggingStart)
+            .on("drag", dragging)
+            .on("end", draggingEnd)
+        );
+
+        nodeEnter.append("circle")
+            .attr("r", nodeCircleRadius)
+            .attr("class", d => !d._children ? nodeLeafClass : (d.children ? nodeNormClass : nodeCollClass));
+
+        nodeEnter.append("text")
+            .attr("class", "nodeLabel")
+            .attr("dy", "0.31em")
+            .text(d => d.data.Name);
+
+        // Place labels as required by the layout
+        node.merge(nodeEnter)
+            .select("text.nodeLabel")
+            .each(function (d) {
+                const placement = labelPlacement(d, layout.labelRotation(d), labelSpacing);
+
+                d3.select(this)
+                    .attr("transform", placement.transform)
+                    .attr("x", placement.x)
+                    .attr("text-anchor", placement.anchor);
+            });
+
+        // ARIA tree semantics. Only one node is reached with Tab (the focused one), the arrows move between nodes.
+        const focusedNode = layoutNodes.find(d => d.data === focusedData) ?? root;
+        focusedData = focusedNode.data;
+
+        node.merge(nodeEnter)
+            .attr("role", "treeitem")
+            .attr("aria-label", d => isRemoved(d) ? d.data.Name + " (removed)" : d.data.Name)
+            .attr("aria-level", d => d.depth + 1)
+            .attr("aria-setsize", d => d.parent ? d.parent.children.length : 1)
+            .attr("aria-posinset", d => d.parent ? d.parent.children.indexOf(d) + 1 : 1)
+            .attr("aria-expanded", d => d._children ? String(!!d.children) : null)
+            .attr("aria-selected", d => String(!!infoBox && infoBox.datum() === d))
+            .attr("tabindex", d => d === focusedNode ? 0 : -1)
+            .classed("cutNode", d => d.data === cutData);
+
+        // Refresh node classes: ancestors may have been expanded without being clicked (e.g. by the search box)
+        node.merge(nodeEnter)
+            .select("circle")
+            .attr("class", d => !d._children ? nodeLeafClass : (d.children ? nodeNormClass : nodeCollClass));
+
+        if (transition) {
+            // Transition nodes to their new position (a dragged node stays under the pointer).
+            node.merge(nodeEnter)
+                .filter(d => d !== dragged?.item)
+                .transition(transition)
+                .attr("transform", d => `translate(${d.y},${d.x})`)
+                .attr("fill-opacity", 1)
+                .attr("stroke-opacity", 1);
+
+            // Transition exiting nodes to the parent's new position.
+            node.exit()
+                .transition(transition)
+                .remove()
+                .attr("transform", () => `translate(${source.y},${source.x})`)
+                .attr("fill-opacity", 0)
+                .attr("stroke-opacity", 0);
+        } else {
+            node.exit().remove();
+        }
+
+        // Update the links
+        const link = gLink.selectChildren("path")
+            .data(links, d => d.target.id);
+
+        // Enter any new links at the parent's previous position.
+        const linkEnter = link.enter().append("path")
+            .attr("d", d => {
+                if (!transition) {
+                    return layout.diagonal(d);
+                }
+                const o = {x: source.x0, y: source.y0};
+                return layout.diagonal({source: o, target: o});
+            });
+
+        // Links on the path to the node with the infoBox
+        const activeNodes = new Set(infoBox ? infoBox.datum().ancestors() : []);
+        link.merge(linkEnter)
+            .classed("activePath", d => activeNodes.has(d.target));
+
+        if (transition) {
+            // Transition links to their new position.
+            link.merge(linkEnter).transition(transition)
+                .attr("d", layout.diagonal);
+
+            // Transition exiting nodes to the parent's new position.
+            link.exit().transition(transition).remove()
+                .attr("d", () => {
+                    const o = {x: source.x, y: source.y};
+                    return layout.diagonal({source: o, target: o});
+                });
+        } else {
+            link.exit().remove();
+        }
+
+        highlightVerbs();
+        markDifferences();
+        markDragging();
+        markPicked();
+        markEncoding();
+    }
+
+    // Children drawn for a node: in compare mode, removed nodes are drawn under their old father;
+    // when the tree is pruned by the verb explorer, only children leading to a found node are drawn
+    function drawnChildren(d) {
+        let list = (diff && diff.removedNodes.has(d)) ? [] : (children ? children(d) : d.children) ?? [];
+
+        if (diff) {
+            list = [...list, ...(diff.removedUnder.get(d) ?? [])];
+        }
+        if (prunedView) {
+            list = list.filter(child => verbMatch.paths.has(child));
+        }
+        return list;
+    }
+
+    // True for a removed node drawn in compare mode: it is not in the hierarchy, and can not be edited
+    function isRemoved(d) {
+        return !!diff && diff.removedNodes.has(d.data);
+    }
+
+    // Read the older version of the hierarchy and start (or update) the compare mode
+    async function openComparison(file) {
+        try {
+            const content = await readHierarchyFile(file);
+            comparison = {
+                base: toNestedHierarchy(content).data,
+                baseName: file.name,
+            };
+        } catch (error) {
+            showMessage(`Can not compare with the file: ${error.message}`, true);
+            return;
+        }
+
+        compareData();
+        redrawTree();
+    }
+
+    // Leave the compare mode
+    function closeComparison() {
+        comparison = undefined;
+        compareData();
+        redrawTree();
+    }
+
+    // Compare the current hierarchy with the older version, if in compare mode
+    function compareData() {
+        diff = comparison ? diffHierarchies(comparison.base, data) : undefined;
+        comparePanel?.show(diff, comparison?.baseName);
+        markDifferences();
+    }
+
+    // Mark nodes added, removed, moved (showing the old father) or with other Synonyms or Verbs
+    function markDifferences() {
+        const kinds = d => new Set((diff?.byNode.get(d.data) ?? []).map(change => change.kind));
+        const moves = d => (diff?.byNode.get(d.data) ?? []).find(change => change.kind === "moved");
+
+        const nodes = gNode.selectChildren("g")
+            .classed("diffAdded", d => kinds(d).has("added"))
+            .classed("diffRemoved", d => kinds(d).has("removed"))
+            .classed("diffMoved", d => kinds(d).has("moved"))
+            .classed("diffChanged", d => kinds(d).has("synonyms") || kinds(d).has("verbs"));
+
+        nodes.select("text.nodeLabel")
+            .text(d => moves(d) ? `${d.data.Name} (from ${moves(d).oldFather})` : d.data.Name);
+
+        nodes.selectAll("title")
+            .data(d => diff?.byNode.has(d.data) ? [diff.byNode.get(d.data).map(formatChange).join("\n")] : [])
+            .join("title")
+            .text(text => text);
+    }
+
+    // Function for the export button of the compare panel: the change list as a text file
+    function exportChanges() {
+        const lines = [
+            `Changes from "${comparison.baseName}" to "${sourceName ?? "hierarchyData"}"`,
+            ...diff.changes.map(formatChange),
+        ];
+
+        const blob = new Blob([lines.join("\n") + "\n"], {
+            type: "text/plain;charset=utf-8",
+        });
+
+        saveAs(blob, (sourceName ?? "hierarchyData") + "_changes.txt");
+    }
+
+    // Find the nodes with the verbs selected in the verb explorer
+    function matchSelectedVerbs() {
+        const selection = verbExplorer?.selection() ?? {verbs: new Set(), mode: "highlight", matchAll: false};
+        verbMatch = matchVerbs(data, selection.verbs, selection.matchAll);
+
+        return selection;
+    }
+
+    // Selection of the verb explorer changed: highlight the nodes found, dimming or hiding the others if required
+    function showVerbs() {
+        const selection = matchSelectedVerbs();
+        const wasPruned = prunedView;
+        const isActive = selection.verbs.size > 0;
+
+        verbDimmed = isActive && selection.mode === "dim";
+        prunedView = isActive && selection.mode === "prune";
+
+        if (root && (prunedView || wasPruned)) {
+            redrawTree();
+        } else {
+            highlightVerbs();
+        }
+
+        if (isActive) {
+            showMessage(`${verbMatch.matches.size} nodes with ${selection.matchAll ? "all" : "any"} of the ` +
+                `selected verbs (${[...selection.verbs].join(", ")})`);
+        }
+    }
+
+    // Mark the nodes found by the verb explorer, with their paths to the root;
+    // collapsed nodes hiding some of them are marked too
+    function highlightVerbs() {
+        gNode.selectChildren("g")
+            .classed("verbMatch", d => verbMatch.matches.has(d.data))
+            .classed("verbInside", d => !d.children && !verbMatch.matches.has(d.data) && verbMatch.paths.has(d.data))
+            .classed("verbDimmed", d => verbDimmed && !verbMatch.paths.has(d.data));
+
+        gLink.selectAll("path")
+            .classed("verbPath", d => verbMatch.paths.has(d.target.data))
+            .classed("verbDimmed", d => verbDimmed && !verbMatch.paths.has(d.target.data));
+    }
+
+    // OnStartDrag: set startDragging
+    function draggingStart(event, d) {
+        // Block dragging for root, and for removed nodes of the compare mode
+        if (d === root || isRemoved(d)) {
+            return;
+        }
+
+        d.startDragging = true;
+    }
+
+    // OnDrag: get current object position and update node position in svg.
+    // During first "drag" event: dim the nodes under "d" (they are not valid targets) and hide the link with its
+    // parent. Also, move node to the front (moved on dragging bc in draggingStart it absorbs onClick event).
+    // Holding Shift drops the node between the siblings of the target, instead of under it.
+    function dragging(event, d) {
+        // Block dragging for root, and for removed nodes of the compare mode
+        if (d === root || isRemoved(d)) {
+            return;
+        }
+
+        // This block is executed only during the first event "drag"
+        if (d.startDragging) {
+            // Move the dragged node to the front
+            d3.select(this).raise();
+
+            // A selected node takes the other selected nodes along: their subtrees are not valid targets either
+            const items = (pickedData.size > 1 && pickedData.has(d.data)) ?
+                layoutNodes.filter(item => pickedData.has(item.data)) : [d];
+
+            // The node is drawn at (x, y), while "d" keeps its place in the layout
+            dragged = {
+                item: d,
+                subtree: new Set(items.flatMap(item => item.descendants())),
+                many: items.length > 1,
+                x: d.x,
+                y: d.y,
+                between: false,
+                drop: undefined,            // Where the node would be dropped (see dropTarget)
+                hovered: undefined,         // Node under the dragged one, opened after "dragExpandDelay"
+                expandTimer: undefined,
+                scrollTimer: undefined,
+                hintShown: false,
+            };
+
+            gLink.selectChildren("path")
+                .filter(item => item.target === d)
+                .remove();
+
+            delete d.startDragging;
+
+            // If infoBox is displayed, remove it
+            removeInfoBox()
+        }
+
+        // Update node coordinates
+        dragged.x += event.dy;
+        dragged.y += event.dx;
+        dragged.between = event.sourceEvent.shiftKey;
+
+        // Update node position
+        d3.select(this)
+            .attr("transform", `translate(${dragged.y},${dragged.x})`);
+
+        updateDropTarget();
+
+        // Near an edge of the window, the view moves until the node is dragged away from it
+        if (!dragged.scrollTimer && edgeScroll()) {
+            dragged.scrollTimer = d3.timer(scrollWhileDragging);
+        }
+    }
+
+    // OnEndDrag: drop the node where its drop target tells (see dropTarget).
+    // Get also distance between dragged node and its original position: might have slip during double-click.
+    // Then, if some conditions are met, the data structure is updated, and then is the graphical tree;
+    // otherwise, revert the dragging.
+    function draggingEnd(event, d) {
+        // Block dragging for root, and for removed nodes of the compare mode
+        if (d === root || isRemoved(d)) {
+            return;
+        }
+
+        const drop = dragged?.drop;
+        const many = !!dragged?.many;
+
+        // Get node distance from his original position
+        const tranDistance = dragged ? Math.hypot(dragged.x - d.x, dragged.y - d.y) : 0;
+
+        stopDragging();
+
+        // A selection is moved at once, under the new father
+        if (many && tranDistance > 2 && drop?.valid && moveSelection(drop.father)) {
+            return;
+        }
+
+        // Set nodes to work on
+        const oldFather = d.parent.data;
+        const currentNode = d.data;
+        const newFather = drop?.father.data;
+
+        // If all are true, update the underlying structure and create the new graph.
+        if (!many &&                        // If true, then a single node is dragged
+            (tranDistance > 2) &&           // If true, then it was not a dragging event (less than a minimum slide)
+            drop?.valid &&                  // If true, then "d" is close enough to a node not under itself
+            ((oldFather !== newFather) ||   // If true, then "newFather" IS a new father, or the position changes
+                (drop.index !== undefined && drop.index !== oldFather.Children.indexOf(currentNode)))) {
+
+            // Move the node, recording the operation for undo
+            moveNode(currentNode, oldFather, newFather, drop.index);
+
+            // Re-create the whole tree
+            redrawTree();
+        } else {
+            if (drop && !drop.valid) {
+                showMessage(many ?
+                    "The selected nodes can not be moved under themselves" :
+                    `"${currentNode.Name}" can not be moved under itself`, true);
+            }
+
+            // Otherwise, the tree will be restored as before the drag-and-drop.
+            if (!(d.startDragging)) {   //This checks if "dragging" has been called at least once
+                graphUpdate(event, root);
+            } else {
+                delete d.startDragging;
+            }
+        }
+    }
+
+    // Where the dragged node would be dropped: near the closest node ("target") within the drag and drop threshold,
+    // from the positions of the layout. Returns undefined if there is none, else {target, father, index, gap, valid}:
+    // - between siblings (Shift held, children in file order), the node goes in the children of "father" (the
+    //   father of "target") at position "index", before or after "target" by the side of the pointer; "gap" is the
+    //   point between the siblings where it is inserted;
+    // - otherwise (or for a selection of nodes) it goes under "target" ("father"), as its last child ("index" and
+    //   "gap" undefined);
+    // "valid" is false if "target" is under the dragged node.
+    function dropTarget() {
+        const d = dragged.item;
+        const target = nodeIndex.nearest(dragged.y, dragged.x, dndThreshold, item => item !== d && !isRemoved(item));
+        if (!target) {
+            return undefined;
+        }
+
+        const valid = !dragged.subtree.has(target);
+
+        if (!dragged.between || childOrder !== "file" || dragged.many || !target.parent) {
+            return {target: target, father: target, index: undefined, gap: undefined, valid: valid};
+        }
+
+        // Siblings are along the line from the previous to the next one: the side of the pointer on that line
+        // tells if the node goes before or after "target"
+        const siblings = target.parent.children;
+        const position = siblings.indexOf(target);
+        const previous = siblings[position - 1];
+        const next = siblings[position + 1];
+        const [alongX, alongY] = next ? [next.x - target.x, next.y - target.y] :
+            previous ? [target.x - previous.x, target.y - previous.y] : [dx, 0];
+        const after = (dragged.x - target.x) * alongX + (dragged.y - target.y) * alongY > 0;
+
+        const neighbour = after ? next : previous;
+        const side = after ? 0.5 : -0.5;
+        const gap = neighbour ?
+            {x: (target.x + neighbour.x) / 2, y: (target.y + neighbour.y) / 2} :
+            {x: target.x + side * alongX, y: target.y + side * alongY};
+
+        // Position in the data; a node moved in the same father leaves its place first
+        const fatherData = target.parent.data;
+        const oldPosition = fatherData.Children.indexOf(d.data);
+        let index = fatherData.Children.indexOf(target.data) + (after ? 1 : 0);
+        if (oldPosition >= 0 && oldPosition < index) {
+            index--;
+        }
+
+        return {target: target, father: target.parent, index: index, gap: gap, valid: valid};
+    }
+
+    // Find the drop target of the dragged node and show it; a collapsed node under the dragged one for
+    // "dragExpandDelay" milliseconds is opened
+    function updateDropTarget() {
+        dragged.drop = dropTarget();
+        markDragging();
+
+        const target = dragged.drop?.target;
+        if (target !== dragged.hovered) {
+            clearTimeout(dragged.expandTimer);
+            dragged.hovered = target;
+
+            if (target && dragged.drop.valid && target._children && !target.children) {
+                dragged.expandTimer = setTimeout(() => expandWhileDragging(target), dragExpandDelay);
+            }
+        }
+
+        if (dragged.between && childOrder !== "file" && !dragged.many && !dragged.hintShown) {
+            dragged.hintShown = true;
+            showMessage("Children are shown by name: show them in file order to drop a node between its siblings");
+        }
+    }
+
+    // Open the collapsed node "d" while a node is dragged over it
+    function expandWhileDragging(d) {
+        d.children = d._children;
+        graphUpdate(null, d);
+
+        // New nodes are drawn in front of the dragged one
+        gNode.selectChildren("g")
+            .filter(item => item === dragged.item)
+            .raise();
+
+        updateDropTarget();
+    }
+
+    // Movement of the view for the dragged node ([x, y], in the coordinates of "gZoom"): towards the edges of the
+    // window it is near, undefined if it is not near any
+    function edgeScroll() {
+        const area = treeZoom.visibleArea();
+        if (!area) {
+            return undefined;
+        }
+
+        const edge = dragScrollEdge / treeZoom.scale();
+        const step = dragScrollStep / treeZoom.scale();
+        const towards = (position, start, size) =>
+            position < start + edge ? step : (position > start + size - edge ? -step : 0);
+
+        const x = towards(dragged.y, area.x, area.width);
+        const y = towards(dragged.x, area.y, area.height);
+
+        return (x !== 0 || y !== 0) ? [x, y] : undefined;
+    }
+
+    // Frame of the automatic scroll: the view moves, the dragged node stays under the pointer
+    function scrollWhileDragging() {
+        const scroll = edgeScroll();
+        if (!scroll) {
+            dragged.scrollTimer.stop();
+            dragged.scrollTimer = undefined;
+            return;
+        }
+
+        const [x, y] = scroll;
+        treeZoom.panBy(x, y);
+        dragged.y -= x;
+        dragged.x -= y;
+
+        gNode.selectChildren("g")
+            .filter(item => item === dragged.item)
+            .attr("transform", `translate(${dragged.y},${dragged.x})`);
+
+        updateDropTarget();
+    }
+
+    // End the dragging: stop the timers and remove the marks of the drop target
+    function stopDragging() {
+        if (dragged) {
+            clearTimeout(dragged.expandTimer);
+            dragged.scrollTimer?.stop();
+            dragged = undefined;
+
+            markDragging();
+        }
+    }
+
+    // Marks of a dragging: the nodes under the dragged one are dimmed; the new father is highlighted, or the target
+    // is shown as not valid, and a dashed link goes from the new father to the dragged node (or to the place between
+    // the siblings where it is inserted)
+    function markDragging() {
+        const drop = dragged?.drop;
+
+        gNode.selectChildren("g")
+            .classed("dragSource", item => !!dragged && item !== dragged.item && dragged.subtree.has(item))
+            .classed("dropTarget", item => !!drop?.valid && item === drop.father)
+            .classed("dropInvalid", item => !!drop && !drop.valid && item === drop.target);
+        gLink.selectChildren("path")
+            .classed("dragSource", item => !!dragged && dragged.subtree.has(item.target));
+
+        gMarks.selectChildren("path.dropLink")
+            .data(drop?.valid ? [drop] : [])
+            .join("path")
+            .attr("class", "dropLink")
+            .attr("d", item => layout.diagonal({source: item.father, target: item.gap ?? dragged}));
+    }
+
+    // Apply an edit to the data, recording it in the history for undo
+    function applyEdit(operation) {
+        history.push(operation);
+
+        // Hierarchy is changed, so search results could be outdated
+        searchBox?.invalidate();
+    }
+
+    // Move "nodeData" from "oldFather" to "newFather" (nodes of data), at position "index" of its children (default:
+    // last), recording the operation for undo
+    function moveNode(nodeData, oldFather, newFather, index = undefined) {
+        applyEdit(reparentOperation(nodeData, oldFather, newFather, index));
+        events.call("nodeMoved", controller, {node: nodeData, oldFather: oldFather, newFather: newFather});
+    }
+
+    // Check a name for a new or renamed node; returns an error message if it can not be used.
+    // Names must be unique: nodes are found by their name (deep links, change-sets, see hierarchyValidator.js).
+    function checkNewName(name) {
+        if (name.length === 0) {
+            return "Name can not be empty";
+        }
+
+        const sameName = findByName(name);
+        if (sameName) {
+            return `"${name}" is already used by a node under "${sameName.Father}"`;
+        }
+    }
+
+    // A node (data) named "name", undefined if there is none. The whole hierarchy is searched: the drawn tree misses
+    // the nodes inside collapsed or pruned subtrees.
+    function findByName(name) {
+        const stack = [data];
+        while (stack.length > 0) {
+            const item = stack.pop();
+
+            if (item.Name === name) {
+                return item;
+            }
+            stack.push(...item.Children);
+        }
+    }
+
+    // Rename the node drawn in "nodeGroup" from the infoBox editor; returns an error message if not possible
+    function renameNode(nodeGroup, newName) {
+        const nodeData = nodeGroup.datum().data;
+
+        const error = checkNewName(newName);
+        if (error) {
+            return error;
+        }
+
+        applyEdit(renameOperation(nodeData, newName));
+
+        // Only the label changes: the tree is not re-drawn, so the editor stays open
+        nodeGroup.select("text.nodeLabel")
+            .text(newName);
+    }
+
+    // Open or close the children of "d", drawn in "element"
+    function toggleNode(event, d, element) {
+        // If infoBox is opened, delete it
+        removeInfoBox();
+
+        if (d._children) {
+            // The focus can not stay on a node that is going to be hidden
+            if (d.children && d.descendants().some(item => item !== d && item.data === focusedData)) {
+                focusNode(d);
+            }
+
+            // Change visual children
+            d.children = d.children ? null : d._children;
+
+            // Change class
+            d3.select(element)
+                .select("circle")
+                .attr("class", d => d.children ? nodeNormClass : nodeCollClass);
+
+            // Update tree
+            graphUpdate(event, d);
+        }
+    }
+
+    // OnKeyDown on a focused node: arrows, Home and End move between nodes (see treeKeyboard.js),
+    // Enter/Space open or close it, "i" shows its infoBox, Shift+F10 (or the menu key) its context menu,
+    // "x" cuts it and "v" moves the cut node under it; Escape closes the infoBox and cancels the cut.
+    function nodeKeyDown(event, d) {
+        // Keys typed in the infoBox editor are not for the node; shortcuts are handled elsewhere
+        if (event.target !== event.currentTarget || event.ctrlKey || event.metaKey || event.altKey) {
+            return;
+        }
+
+        const action = navigationAction(root, d, event.key);
+        const key = event.key.length === 1 ? event.key.toLowerCase() : event.key;
+
+        if (action?.focus) {
+            focusNode(action.focus);
+        } else if (action?.toggle || key === "Enter" || key === " ") {
+            toggleNode(event, d, event.currentTarget);
+        } else if (key === "i") {
+            nodeShowInfo(event.currentTarget);
+
+            // The node has been moved to the front, which takes the focus away from it
+            event.currentTarget.focus({preventScroll: true});
+        } else if (key === "ContextMenu" || (key === "F10" && event.shiftKey)) {
+            const box = event.currentTarget.getBoundingClientRect();
+            showNodeMenu(d, box.left + window.scrollX, box.bottom + window.scrollY);
+        } else if (key === "x") {
+            cutNode(d);
+        } else if (key === "v") {
+            pasteNode(d);
+        } else if (key === "Escape") {
+            removeInfoBox();
+            cancelCut();
+        } else {
+            return;
+        }
+
+        event.preventDefault();
+    }
+
+    // Set the node reached with Tab; returns the element where it is drawn
+    function updateTabIndex(d) {
+        // Large trees have no element for the nodes out of view: the focused one is always drawn
+        if (gNode.selectChildren("g").filter(item => item === d).empty()) {
+            focusedData = d.data;
+            drawItems();
+        }
+
+        return gNode.selectChildren("g")
+            .attr("tabindex", item => item === d ? 0 : -1)
+            .filter(item => item === d)
+            .node();
+    }
+
+    // Move the keyboard focus on node "d" and keep it in the window
+    // (after "transition", if the node is moving)
+    function focusNode(d, transition = undefined) {
+        focusedData = d.data;
+
+        const element = updateTabIndex(d);
+        element.focus({preventScroll: true});
+
+        if (transition) {
+            transition.end()
+                .catch(() => {})
+                .then(() => keepInView(d, element, "nearest"));
+        } else {
+            keepInView(d, element, "nearest");
+        }
+    }
+
+    // Scroll the page to show node "d", drawn in "element"
+    function keepInView(d, element, block = "center") {
+        element.scrollIntoView({behavior: "smooth", block: block, inline: block});
+
+        // Scrolling is not enough if the view has been panned away from the node
+        const box = element.getBoundingClientRect();
+        if (box.right < 0 || box.left > window.innerWidth) {
+            treeZoom.centerOn(d.y, d.x, treeZoom.scale());
+        }
+    }
+
+    // Keyboard "cut": remember node "d", to move it under the node where "v" is pressed
+    function cutNode(d) {
+        if (d === root || isRemoved(d)) {
+            showMessage(d === root ? "The root can not be moved" : `"${d.data.Name}" has been removed`, true);
+            return;
+        }
+
+        cutData = d.data;
+        gNode.selectChildren("g")
+            .classed("cutNode", item => item.data === cutData);
+        showMessage(`"${cutData.Name}" cut: go to its new father and press V (Escape to cancel)`);
+    }
+
+    // Forget the cut node, if any
+    function cancelCut() {
+        if (cutData) {
+            cutData = undefined;
+            gNode.selectChildren("g")
+                .classed("cutNode", false);
+            showMessage("Move cancelled");
+        }
+    }
+
+    // Keyboard "paste": move the cut node under "d", with the same checks of drag-and-drop
+    function pasteNode(d) {
+        if (!cutData) {
+            showMessage("Nothing to move: press X on a node to cut it", true);
+            return;
+        }
+
+        if (isRemoved(d)) {
+            showMessage(`"${d.data.Name}" has been removed, nothing can be moved under it`, true);
+            return;
+        }
+
+        // The hierarchy may have changed since the cut (e.g. undo)
+        const oldFather = findFather(cutData);
+        if (!oldFather) {
+            cutData = undefined;
+            showMessage("The cut node is not in the hierarchy anymore", true);
+            return;
+        }
+        if (d.ancestors().some(item => item.data === cutData)) {
+            showMessage(`"${cutData.Name}" can not be moved under itself`, true);
+            return;
+        }
+        if (oldFather === d.data) {
+            showMessage(`"${cutData.Name}" is already under "${d.data.Name}"`, true);
+            return;
+        }
+
+        const movedData = cutData;
+        cutData = undefined;
+        moveNode(movedData, oldFather, d.data);
+
+        // The new father must be open to show the moved node, which keeps the focus
+        if (d._children) {
+            d.children = d._children;
+        }
+        focusedData = movedData;
+        redrawTree();
+
+        showMessage(`Moved "${movedData.Name}" under "${d.data.Name}"`);
+    }
+
+    // Ctrl/Shift+click: add node "d" to the selection, or take it away if it is already selected
+    function togglePicked(d) {
+        if (d === root || isRemoved(d)) {
+            showMessage(d === root ? "The root can not be moved" : `"${d.data.Name}" has been removed`, true);
+            return;
+        }
+
+        const picked = new Set(pickedData);
+        if (picked.has(d.data)) {
+            picked.delete(d.data);
+        } else {
+            picked.add(d.data);
+        }
+        setPicked([...picked]);
+    }
+
+    // Select the nodes (data) of "nodes", and only them
+    function setPicked(nodes) {
+        pickedData = new Set(nodes);
+        if (pickedData.size === 0 && picking?.forSelection) {
+            cancelPicking();
+        }
+
+        markPicked();
+        selectionPanel?.show([...pickedData]);
+    }
+
+    // Keep in the selection only the nodes still in the hierarchy (e.g. after an undo)
+    function updatePicked() {
+        if (pickedData.size === 0) {
+            return;
+        }
+
+        const nodes = new Set();
+        const stack = [data];
+        while (stack.length > 0) {
+            const item = stack.pop();
+            nodes.add(item);
+            stack.push(...item.Children);
+        }
+
+        setPicked([...pickedData].filter(node => nodes.has(node)));
+    }
+
+    function markPicked() {
+        gNode.selectChildren("g")
+            .classed("pickedNode", item => pickedData.has(item.data));
+    }
+
+    // Lasso: Shift+drag on the background draws a line around the nodes to add to the selection
+    function lassoStart(event) {
+        lassoPoints = [[event.x, event.y]];
+        gMarks.append("path")
+            .attr("class", "lasso");
+    }
+
+    function lassoMove(event) {
+        lassoPoints.push([event.x, event.y]);
+        gMarks.select("path.lasso")
+            .attr("d", "M" + lassoPoints.join("L") + "Z");
+    }
+
+    function lassoEnd() {
+        const points = lassoPoints;
+        lassoPoints = undefined;
+        gMarks.select("path.lasso")
+            .remove();
+
+        if (points.length < 3) {
+            return;
+        }
+
+        // Nodes in the box around the line first, then the ones inside it (screen coordinates: d.y, d.x)
+        const [left, right] = d3.extent(points, point => point[0]);
+        const [top, bottom] = d3.extent(points, point => point[1]);
+        const inside = nodeIndex.inArea({x: left, y: top, width: right - left, height: bottom - top})
+            .filter(item => item !== root && !isRemoved(item) && d3.polygonContains(points, [item.y, item.x]));
+
+        setPicked([...pickedData, ...inside.map(item => item.data)]);
+    }
+
+    // "Move to..." of the selection panel: the next clicked node is the new father of the selection
+    function startPickingFather() {
+        if (pickedData.size === 0) {
+            return;
+        }
+
+        startPicking(`Click the new father of the ${pickedData.size} selected node${pickedData.size === 1 ? "" : "s"} ` +
+            "(Escape to cancel)", "Move cancelled", moveSelection, true);
+    }
+
+    // The next clicked node is given to "onPick" (see the click on nodes), after showing "message"; "cancelled" is
+    // shown on Escape. With "forSelection", clearing the selection cancels too.
+    function startPicking(message, cancelled, onPick, forSelection = false) {
+        picking = {onPick: onPick, cancelled: cancelled, forSelection: forSelection};
+        showMessage(message);
+    }
+
+    function cancelPicking() {
+        if (picking) {
+            showMessage(picking.cancelled);
+            picking = undefined;
+        }
+    }
+
+    // Move the selected nodes under "father" (a node of the tree) as a single edit, re-drawing the tree once.
+    // Selected nodes under another selected node are moved with it. Returns true if some node was moved.
+    function moveSelection(father) {
+        if (isRemoved(father)) {
+            showMessage(`"${father.data.Name}" has been removed, nothing can be moved under it`, true);
+            return false;
+        }
+
+        // Father (data) of every node of the hierarchy
+        const fathers = new Map();
+        const stack = [data];
+        while (stack.length > 0) {
+            const item = stack.pop();
+            item.Children.forEach(child => fathers.set(child, item));
+            stack.push(...item.Children);
+        }
+        const ancestors = node => {
+            const list = [];
+            for (let item = fathers.get(node); item; item = fathers.get(item)) {
+                list.push(item);
+            }
+            return list;
+        };
+
+        const moving = [...pickedData]
+            .filter(node => fathers.has(node) && !ancestors(node).some(item => pickedData.has(item)));
+        if (moving.length === 0) {
+            showMessage("Nothing to move: Ctrl+click (or Shift+drag around) the nodes to select them", true);
+            return false;
+        }
+        if ([father.data, ...ancestors(father.data)].some(item => pickedData.has(item))) {
+            showMessage("The selected nodes can not be moved under themselves", true);
+            return false;
+        }
+
+        const moved = moving.filter(node => fathers.get(node) !== father.data);
+        if (moved.length === 0) {
+            showMessage(`The selected nodes are already under "${father.data.Name}"`, true);
+            return false;
+        }
+
+        const count = `${moved.length} node${moved.length === 1 ? "" : "s"}`;
+        applyEdit(groupOperation(`Move ${count} under "${father.data.Name}"`,
+            moved.map(node => reparentOperation(node, fathers.get(node), father.data))));
+        moved.forEach(node => {
+            events.call("nodeMoved", controller, {node: node, oldFather: fathers.get(node), newFather: father.data});
+        });
+
+        // The new father must be open to show the moved nodes
+        if (father._children) {
+            father.children = father._children;
+        }
+        redrawTree();
+
+        showMessage(`Moved ${count} under "${father.data.Name}"`);
+        return true;
+    }
+
+    // Father (data) of "nodeData", undefined if it is not in the hierarchy
+    function findFather(nodeData) {
+        const stack = [data];
+        while (stack.length > 0) {
+            const item = stack.pop();
+
+            if (item.Children.includes(nodeData)) {
+                return item;
+            }
+            stack.push(...item.Children);
+        }
+    }
+
+    // OnContextMenu on a node
+    function nodeContextMenu(event, d) {
+        event.preventDefault();
+        if (!isRemoved(d)) {
+            showNodeMenu(d, event.pageX, event.pageY);
+        }
+    }
+
+    // Context menu of a node, at the page position (pageX, pageY): add a child or a sibling, delete it, merge it
+    // into another node, split it, or move the selected nodes under it
+    function showNodeMenu(d, pageX, pageY) {
+        const isRoot = d === root;
+        contextMenu.show(pageX, pageY, [
+            {
+                label: "Add child",
+                action: () => addNode(d),
+            },
+            {
+                label: "Add sibling",
+                disabled: isRoot,
+                action: () => addNode(d.parent, d.parent.data.Children.indexOf(d.data) + 1),
+            },
+            {
+                label: "Delete",
+                disabled: isRoot,
+                action: () => deleteNodeItems(d),
+            },
+            {
+                label: "Merge into...",
+                disabled: isRoot,
+                action: () => startMerging(d),
+            },
+            {
+                label: "Split...",
+                disabled: isRoot,
+                action: () => splitNode(d),
+            },
+            ...(pickedData.size > 0 ? [{
+                label: `Move the ${pickedData.size} selected node${pickedData.size === 1 ? "" : "s"} here`,
+                action: () => moveSelection(d),
+            }] : []),
+        ]);
+    }
+
+    // Ask the name of a new node and add it under "father" (a node of the tree), at position "index" of its children
+    function addNode(father, index = undefined) {
+        const answer = prompt(`Name of the new node under "${father.data.Name}"`);
+        if (answer === null) {
+            return;
+        }
+
+        const name = answer.trim();
+        const error = checkNewName(name);
+        if (error) {
+            alert(error);
+            return;
+        }
+
+        const newNode = createNode(father.data, name);
+        applyEdit(addNodeOperation(newNode, father.data, index));
+
+        // Father must be open to show the new node, which is selected so the editor can be used immediately
+        if (father._children) {
+            father.children = father._children;
+        }
+        redrawTree();
+        revealNode(newNode);
+    }
+
+    // Delete a leaf, or ask what to do with the children of an internal node
+    function deleteNodeItems(d) {
+        const father = d.parent.data;
+
+        if (d.data.Children.length === 0) {
+            deleteNode(false);
+            return;
+        }
+
+        const subtreeSize = d3.hierarchy(d.data, children).descendants().length;
+        return [
+            {
+                label: `Delete whole subtree (${subtreeSize} nodes)`,
+                action: () => deleteNode(false),
+            },
+            {
+                label: `Delete, moving children under "${father.Name}"`,
+                action: () => deleteNode(true),
+            },
+            {
+                label: "Cancel",
+                action: () => {},
+            },
+        ];
+
+        function deleteNode(promoteChildren) {
+            applyEdit(deleteNodeOperation(d.data, father, promoteChildren));
+
+            // The focus goes to the father of the deleted node
+            if (focusedData === d.data) {
+                focusedData = father;
+            }
+            redrawTree();
+        }
+    }
+
+    // "Merge into...": the next clicked node is the one "d" is merged into
+    function startMerging(d) {
+        startPicking(`Click the node to merge "${d.data.Name}" into (Escape to cancel)`, "Merge cancelled", target => {
+            if (isRemoved(target)) {
+                showMessage(`"${target.data.Name}" has been removed, nothing can be merged into it`, true);
+            } else {
+                mergeNode(d.data, target.data);
+            }
+        });
+    }
+
+    // Merge "source" into "target" (data) as a single edit, see mergeOperation. Returns true if they were merged.
+    function mergeNode(source, target) {
+        const father = findFather(source);
+        if (!father) {
+            showMessage(source === data ?
+                "The root can not be merged into another node" :
+                `"${source.Name}" is not in the hierarchy`, true);
+            return false;
+        }
+        if (d3.hierarchy(source, children).descendants().some(item => item.data === target)) {
+            showMessage(`"${source.Name}" can not be merged into ${target === source ? "itself" : "a node under it"}`, true);
+            return false;
+        }
+
+        const moved = [...source.Children];
+        applyEdit(mergeOperation(source, father, target));
+        moved.forEach(node => {
+            events.call("nodeMoved", controller, {node: node, oldFather: source, newFather: target});
+        });
+
+        // The target must be open to show the moved children
+        const targetItem = allItems().find(item => item.data === target);
+        if (targetItem?._children) {
+            targetItem.children = targetItem._children;
+        }
+        if (focusedData === source) {
+            focusedData = target;
+        }
+        redrawTree();
+        revealNode(target);
+
+        showMessage(`Merged "${source.Name}" into "${target.Name}"`);
+        return true;
+    }
+
+    // Merge button of the duplicate panel: the node with the smaller subtree is merged into the other one
+    // (so a node is merged into its ancestor, never the opposite)
+    function mergeDuplicates({a, b}) {
+        const size = node => d3.hierarchy(node, children).descendants().length;
+        const [source, target] = (b === data || (a !== data && size(a) < size(b))) ? [a, b] : [b, a];
+
+        if (confirm(`Merge "${source.Name}" (under "${source.Father}") into "${target.Name}" (under "${target.Father}")?`)) {
+            mergeNode(source, target);
+        }
+    }
+
+    // Open the split dialog of "d": a new sibling is added after it, with the chosen synonyms, verbs and children
+    function splitNode(d) {
+        splitDialog.open(d.data, ({name, synonyms, verbs, children: chosenChildren}) => {
+            const father = findFather(d.data);
+            if (!father) {
+                return `"${d.data.Name}" is not in the hierarchy any more`;
+            }
+
+            const error = checkNewName(name);
+            if (error) {
+                return error;
+            }
+
+            const newNode = createNode(father, name);
+            applyEdit(splitOperation(d.data, father, newNode,
+                {synonyms: synonyms, verbs: verbs, children: chosenChildren}));
+            chosenChildren.forEach(node => {
+                events.call("nodeMoved", controller, {node: node, oldFather: d.data, newFather: newNode});
+            });
+
+            redrawTree();
+            revealNode(newNode);
+            showMessage(`Split "${d.data.Name}": "${name}" added after it`);
+        });
+    }
+
+    // Remove the old drawn tree and draw it again from the (modified) data.
+    // Nodes collapsed before are still collapsed, and the keyboard focus stays on the same node.
+    function redrawTree() {
+        removeInfoBox();
+        const hadFocus = gNode.node().contains(document.activeElement);
+
+        collapsedData = collapsedNodes();
+
+        // Update data and remove the old drawn tree
+        data = root.data;
+        clearGraph();
+
+        // Hierarchy is changed, so search results could be outdated
+        searchBox?.invalidate();
+
+        const transition = graphUpdate(null, null);
+        if (hadFocus) {
+            focusNode(root.descendants().find(item => item.data === focusedData), transition);
+        }
+    }
+
+    // Collapsed nodes (data), also inside other collapsed nodes
+    function collapsedNodes() {
+        const collapsed = new Set();
+
+        const stack = [root];
+        while (stack.length > 0) {
+            const item = stack.pop();
+
+            if (item._children) {
+                if (!item.children) {
+                    collapsed.add(item.data);
+                }
+                stack.push(...item._children);
+            }
+        }
+
+        return collapsed;
+    }
+
+    // Replace the displayed hierarchy with "newData" (nested or flat format).
+    // "collapsedPaths" lists the nodes to draw collapsed (see sessionStore.js); "dirty" tells that "newData" is
+    // not the content of a file (e.g. a restored session).
+    // Throws an error, leaving the current tree untouched, if the format is not recognized.
+    function loadHierarchy(newData, {collapsedPaths = [], dirty = false} = {}) {
+        // Work on the nested format, whatever the format of the file is
+        const loaded = toNestedHierarchy(newData);
+
+        data = loaded.data;
+        detachedRecords = loaded.detached;
+        fileFormat = loaded.format;
+        if (saveFormat) {
+            saveFormat.value = fileFormat;
+        }
+
+        // Remove the old drawn tree, it will be created from scratch
+        removeInfoBox();
+        clearGraph();
+        treeZoom.reset();
+        root = undefined;
+        collapsedData = new Set(collapsedPaths.map(path => nodeAtPath(data, path)).filter(node => node));
+        focusedData = undefined;
+        cutData = undefined;
+        pickedData = new Set();
+        picking = undefined;
+
+        searchBox?.invalidate();
+        changeSetPanel?.show(undefined);
+        restoredChanges = [];
+        history.clear({dirty: dirty});      // Also validates the new data
+
+        graphUpdate(null, null);
+    }
+
+    // Read a file chosen by the user and show it, or explain why it can not be shown
+    async function openFile(file) {
+        if (history.isDirty() && !confirm("Current updates have not been saved and will be lost. Open the file anyway?")) {
+            return;
+        }
 
-                if (d._children) {
-                    // Change visual children
-                    d.children = d.children ? null : d._children;
+        try {
+            const content = await readHierarchyFile(file);
+            loadHierarchy(content);
+
+            sourceName = file.name.replace(/\.json$/i, "");
+            sourceFingerprint = fingerprint(content);
+            showMessage(`Opened "${file.name}" (${root.descendants().length} nodes, ${fileFormat} format)` +
+                (syncing ? ": it will be saved as a file, not on the server" : ""));
+            syncing = false;
+            updateEditButtons();
+        } catch (error) {
+            showMessage(`Can not open the file: ${error.message}`, true);
+        }
+    }
 
-                    // Change class
-                    d3.select(target)
-                        .select("circle")
-                        .attr("class", d => d.children ? nodeNormClass : nodeCollClass);
+    // Save the session in the browser, shortly after the last change
+    function autosave() {
+        sessionStore?.schedule(currentSession);
+    }
 
-                    // Update tree
-                    graphUpdate(event, d);
+    // Session to autosave: the hierarchy (in the format for save), collapsed and selected nodes
+    function currentSession() {
+        const paths = nodePaths(data);
+
+        return {
+            savedAt: new Date().toISOString(),
+            source: sourceId(),
+            sourceName: sourceName,
+            sourceFingerprint: sourceFingerprint,
+            dirty: history.isDirty(),
+            changes: syncing && history.isDirty() ? unsavedChanges() : undefined,
+            hierarchy: fileFormat === FLAT_FORMAT ? nestedToFlat(data, detachedRecords) : data,
+            collapsed: [...collapsedNodes()]
+                .filter(node => paths.has(node))     // Not the removed nodes of the compare mode
+                .map(node => paths.get(node)),
+            selected: infoBox ? paths.get(infoBox.datum().data) : undefined,
+        };
+    }
 
-                }
+    // Identifier of the hierarchy being edited, saved with the session: the sync server, the opened file, or the
+    // hierarchy given to the tree
+    function sourceId() {
+        if (syncing) {
+            return "server";
+        }
+        return sourceName === undefined ? "data" : `file:${sourceName}`;
+    }
+
+    // On start, offer to restore the session autosaved before the page was closed, if it was made on the same
+    // hierarchy. Without edits, the collapsed and selected nodes are restored silently, if the file has not changed.
+    function offerSessionRestore() {
+        const session = sessionStore?.load();
+        if (!session) {
+            return;
+        }
+
+        // Restoring a session of another hierarchy (e.g. of a file opened before the page was reloaded) would
+        // replace this one
+        if (session.source !== sourceId()) {
+            sessionStore.discard();
+            if (session.dirty) {
+                showMessage("The previous session was not restored: it was made on another hierarchy" +
+                    (session.sourceName ? ` (file "${session.sourceName}")` : ""), true);
             }
-        })
+            return;
+        }
 
-        // OnDrag event: drag a node, eventually updating the underlying structure
-        nodeEnter.call(d3.drag()
-            .on("start", draggingStart)
-            .on("drag", dragging)
-            .on("end", draggingEnd)
-        );
+        const fileChanged = session.sourceFingerprint !== sourceFingerprint;
 
-        nodeEnter.append("circle")
-            .attr("r", nodeCircleRadius)
-            .attr("class", d => !d._children ? nodeLeafClass : (d.children ? nodeNormClass : nodeCollClass));
+        if (!session.dirty) {
+            if (!fileChanged) {
+                restoreSession(session);
+            }
+            return;
+        }
 
-        nodeEnter.append("text")
-            .attr("class", "nodeLabel")
-            .attr("dy", "0.31em")
-            .attr("x", d => d._children ? -labelSpacing : labelSpacing)
-            .attr("text-anchor", d => d._children ? "end" : "start")
-            .text(d => d.data.Name);
+        const savedAt = new Date(session.savedAt).toLocaleString();
+
+        // Someone else saved on the server since the session: restoring it as it is would overwrite their edits, so
+        // its changes are made again on the version on the server, as after a rejected save (see saveToServer)
+        if (syncing && fileChanged) {
+            const changes = session.changes ?? [];
+            if (confirm(`The previous session (saved ${savedAt}) has ${changes.length} updates not saved, but the ` +
+                "hierarchy on the server has changed since then. Apply these updates again on its current version?" +
+                "\n\nCancel discards them.")) {
+                const result = replayEdits(changes, "Apply the updates of the previous session", "Previous session");
+                showMessage(`Applied ${result.applied.length} of ${changes.length} updates of the previous session ` +
+                    "on the version on the server" + conflictsNote(result), result.conflicts.length > 0);
+            } else {
+                sessionStore.discard();
+                showMessage("Previous session discarded");
+            }
+            return;
+        }
 
-        // Transition nodes to their new position.
-        node.merge(nodeEnter)
-            .transition(transition)
-            .attr("transform", d => `translate(${d.y},${d.x})`)
-            .attr("fill-opacity", 1)
-            .attr("stroke-opacity", 1);
-
-        // Transition exiting nodes to the parent's new position.
-        node.exit()
-            .transition(transition)
-            .remove()
-            .attr("transform", () => `translate(${source.y},${source.x})`)
-            .attr("fill-opacity", 0)
-            .attr("stroke-opacity", 0);
+        let question = `Restore the previous session (saved ${savedAt}` +
+            (session.sourceName ? `, file "${session.sourceName}"` : "") + ", with updates not saved)?";
+        if (fileChanged) {
+            question += "\n\nThe file has changed since then: the restored session does not include its changes.";
+        }
+        question += "\n\nCancel discards it.";
 
-        // Update the links
-        const link = gLink.selectAll("path")
-            .data(links, d => d.target.id);
+        if (confirm(question)) {
+            restoreSession(session);
+            showMessage(`Restored the session saved ${savedAt}`);
+        } else {
+            sessionStore.discard();
+            showMessage("Previous session discarded");
+        }
+    }
 
-        // Enter any new links at the parent's previous position.
-        const linkEnter = link.enter().append("path")
-            .attr("d", () => {
-                const o = {x: source.x0, y: source.y0};
-                return diagonal({source: o, target: o});
-            });
+    // Show the hierarchy of a saved session, with its collapsed and selected nodes
+    function restoreSession(session) {
+        try {
+            loadHierarchy(session.hierarchy, {collapsedPaths: session.collapsed, dirty: session.dirty});
+        } catch (error) {
+            sessionStore.discard();
+            showMessage(`The previous session can not be restored: ${error.message}`, true);
+            return;
+        }
 
-        // Transition links to their new position.
-        link.merge(linkEnter).transition(transition)
-            .attr("d", diagonal);
+        sourceName = session.sourceName;
+        sourceFingerprint = session.sourceFingerprint;
+        restoredChanges = session.changes ?? [];
 
-        // Transition exiting nodes to the parent's new position.
-        link.exit().transition(transition).remove()
-            .attr("d", () => {
-                const o = {x: source.x, y: source.y};
-                return diagonal({source: o, target: o});
-            });
+        const selected = session.selected && nodeAtPath(data, session.selected);
+        if (selected) {
+            revealNode(selected);
+        }
+    }
 
-        // Stash the old positions for transition.
-        root.eachBefore(d => {
-            d.x0 = d.x;
-            d.y0 = d.y;
-        });
+    // Path of names of a node, from the root
+    function namesPath(d) {
+        return d.ancestors()
+            .reverse()
+            .map(item => item.data.Name);
     }
 
-    // OnStartDrag: set startDragging
-    function draggingStart(event, d) {
-        // Block dragging for root
-        if (d === root) {
+    // Tell the host page about the selected node, and write the view in the URL. This is done once the view is
+    // stable: after the current event, and after a node is revealed (a node replacing another one in the infoBox
+    // is not seen as a view without a selected node).
+    function viewChanged() {
+        clearTimeout(viewTimer);
+        viewTimer = setTimeout(publishView);
+    }
+
+    function publishView() {
+        if (revealTarget || !root) {
             return;
         }
 
-        d.x0 = d.x;
-        d.y0 = d.y;
+        const selected = infoBox && !isRemoved(infoBox.datum()) ? infoBox.datum().data : undefined;
+        if (selected !== selectedData) {
+            selectedData = selected;
+            showStats();
+            events.call("nodeSelected", controller, {node: selected});
+        }
 
-        d.startDragging = true;
+        if (linkEnabled) {
+            writeLink();
+        }
     }
 
-    // OnDrag: get current object position and update node position in svg
-    // During first "drag" event: hide children nodes and links with parent and all the children
-    // Also, move node to the front (moved on dragging bc in draggingStart it absorbs onClick event)
-    function dragging(event, d) {
-        // Block dragging for root
-        if (d === root) {
+    // Write the current view in the URL. Selecting another node is a new step for back/forward navigation.
+    function writeLink() {
+        const expanded = [];
+        const collapsed = [];
+        const stack = [root];
+        while (stack.length > 0) {
+            const item = stack.pop();
+
+            if (item._children && !isRemoved(item)) {
+                (item.children ? expanded : collapsed).push(namesPath(item));
+                stack.push(...item._children);
+            }
+        }
+
+        const selected = infoBox && !isRemoved(infoBox.datum()) ? namesPath(infoBox.datum()) : undefined;
+        const hash = formatLink({node: selected, expanded: expanded, collapsed: collapsed});
+        if (hash === location.hash) {
             return;
         }
 
-        // This block is executed only during the first event "drag"
-        if (d.startDragging) {
-            // Move the dragged node to the front
-            d3.select(this).raise();
+        if (selected && JSON.stringify(selected) !== JSON.stringify(parseLink(location.hash).node)) {
+            window.history.pushState(null, "", hash);
+        } else {
+            window.history.replaceState(null, "", hash);
+        }
+    }
 
-            const dHypers = [...d.data.Hypers];
-            const dName = d.data.Name;
+    // Show the view written in the URL: open and closed nodes, and the selected one with its infoBox
+    function applyLink() {
+        const link = parseLink(location.hash);
+        if (!link.node && !link.expanded && !link.collapsed) {
+            return;
+        }
 
-            const pathList = svg.selectAll("#groupStroke path");    // All the links
-            const nodeList = svg.selectAll("#groupNode g");         // All the nodes
+        const expanded = link.expanded && new Set(link.expanded.map(path => findByNames(data, path)));
+        const collapsed = link.collapsed && new Set(link.collapsed.map(path => findByNames(data, path)));
+        if (expanded || collapsed) {
+            const stack = [root];
+            while (stack.length > 0) {
+                const item = stack.pop();
+
+                if (item._children) {
+                    const isOpen = expanded ? expanded.has(item.data) : !collapsed.has(item.data);
+                    item.children = isOpen ? item._children : null;
+                    stack.push(...item._children);
+                }
+            }
+        }
 
-            // Delete link between "d" and his parent
-            const parentLink = pathList.filter(item => findElementByData(item, item.target.data))
-                .filter(function(item) {
-                    const itemName = item.target.data.Name;
+        const selected = link.node && findByNames(data, link.node);
+        if (link.node && !selected) {
+            showMessage(`The node of the link (${link.node.join(" > ")}) is not in the hierarchy`, true);
+        }
 
-                    if (itemName === dName) {
-                        return item;
-                    }
-                })
-            parentLink.remove();
+        removeInfoBox();
+        if (selected) {
+            revealNode(selected);
+        } else {
+            graphUpdate(null, root);
+        }
+    }
 
-            // Add name of the current node "d" to list of hypers
-            dHypers.push(dName)
+    // Show a message for the user above the tools
+    function showMessage(text, isError = false) {
+        if (messageLine) {
+            messageLine.textContent = text;
+            messageLine.classList.toggle("errorMessage", isError);
+        }
+        events.call("message", controller, {text: text, isError: isError});
+    }
 
-            // Delete all children nodes of "d"
-            const childrenNodes = nodeList.filter(item => findElementByData(item, item.data)).nodes();
-            childrenNodes.forEach(element => {
-                d3.select(element).remove();
-            })
+    // Draw the tree with another layout, keeping open and collapsed nodes as they are
+    function changeLayout(name) {
+        layout = createLayout(name, {tree, diagonal});
 
-            // Delete links of all the children nodes
-            const childrenLinks = pathList.filter(item => findElementByData(item, item.target.data)).nodes();
-            childrenLinks.forEach(element => {
-                d3.select(element).remove();
-            })
+        removeInfoBox();
+        graphUpdate(null, root);
+    }
 
-            delete d.startDragging;
+    // Draw the children of every node in another order ("name" or "file", see childOrders)
+    function changeChildOrder(name) {
+        childOrder = name;
+        redrawTree();
+    }
 
-            // If infoBox is displayed, remove it
-            removeInfoBox()
+    // Statistics of the subtrees of the hierarchy, for the statistics panel and the scales of size and colour of
+    // the nodes
+    function updateStats() {
+        stats = (statsPanel || sizeBy || colorBy) ? subtreeStats(data) : undefined;
+        const extent = key => d3.extent(stats.values(), item => item[key]);
 
-            // Internal function used in filter
-            // Return the item (a node or a link in the graph) only if its data.Hypers fully contains
-            //  that of the current node
-            function findElementByData(item, itemData) {
-                const itemHypers = itemData.Hypers;
+        sizeScale = sizeBy && d3.scaleSqrt()
+            .domain(extent(sizeBy))
+            .range([nodeCircleRadius, nodeCircleRadius * 3]);
 
-                if (itemHypers.length >= dHypers.length &&
-                    dHypers.every(v => itemHypers.includes(v))
-                ) {
-                    return item;
-                }
-            }
+        if (colorBy === categoryKey) {
+            colorScale = d3.scaleOrdinal()
+                .domain(data.Children.map(child => child.Name))
+                .range([...d3.schemeTableau10, ...d3.schemeSet3]);
+        } else {
+            colorScale = colorBy && d3.scaleSequentialSqrt(d3.interpolateViridis)
+                .domain(extent(colorBy));
         }
 
-        // Update node coordinates
-        d.x += event.dy;
-        d.y += event.dx;
+        showStats();
+        if (sizeBy || colorBy) {
+            drawLegend();
+            markEncoding();
+        }
+    }
 
-        // Update node position
-        d3.select(this)
-            .attr("transform", `translate(${d.y},${d.x})`);
+    // Statistics of the subtree of the selected node, or of the whole hierarchy
+    function showStats() {
+        statsPanel?.show(stats.has(selectedData) ? selectedData : data, stats);
     }
 
-    // OnEndDrag: get the lowest Euclidean distance between dragged node and all the others in the tree (children of
-    // the dragged node are automatically excluded).
-    // Get also distance between dragged node and its original position: might have slip during double-click.
-    // Then, if some conditions are met, the data structure is updated, and then is the graphical tree;
-    // otherwise, revert the dragging.
-    function draggingEnd(event, d) {
-        // Block dragging for root
-        if (d === root) {
-            return;
-        }
+    // Size and colour of the drawn nodes, by the metrics of their subtrees
+    function markEncoding() {
+        gNode.selectChildren("g")
+            .select("circle")
+            .attr("r", d => encodedValue(d, sizeBy, sizeScale) ?? nodeCircleRadius)
+            .style("fill", d => encodedValue(d, colorBy, colorScale) ?? null);
+    }
 
-        // Calculate Euclidean distance between dragged node "d" and all the others.
-        // Those that fully contains d.Hypers+d.Name are excluded (children of "d"); also "d" is excluded of course.
-        const dHypers = [...d.data.Hypers];
-        dHypers.push(d.data.Name)
+    // Value of "scale" for the metric "key" of the subtree of "d"; undefined without a scale, or for nodes without
+    // a value (the root has no category, removed nodes of the compare mode have no statistics)
+    function encodedValue(d, key, scale) {
+        const item = stats?.get(d.data);
+        const value = key === categoryKey ? item?.category?.Name : item?.[key];
 
-        const distances = root.descendants()
-            .map(item => {
-                const itemHypers = item.data.Hypers;
-                if ((item !== d) &&
-                    !(dHypers.every(v => itemHypers.includes(v)))
-                ) {
-                    const dx = d.x - item.x;
-                    const dy = d.y - item.y;
-                    return Math.sqrt(dx * dx + dy * dy);
-                }
-                return Infinity;
-            });
+        return (scale && value !== undefined) ? scale(value) : undefined;
+    }
 
-        // Get closest node index...
-        const minDistance = Math.min(...distances);
-        const minDistanceIndex = distances.indexOf(minDistance);
+    // Legend of the node classes, with the scales of size and colour in use
+    function drawLegend() {
+        if (legendElement) {
+            createLegend(legendElement, [nodeNormClass, nodeLeafClass, nodeCollClass], {
+                size: sizeScale && {label: nodeMetrics[sizeBy], scale: sizeScale},
+                color: colorScale && {
+                    label: colorBy === categoryKey ? "Top-level category" : nodeMetrics[colorBy],
+                    scale: colorScale,
+                },
+            });
+        }
+    }
 
-        // ...and then closest node
-        const closestNode = root.descendants()[minDistanceIndex];
+    // Check the hierarchy, listing the problems in the validation panel
+    function validateData() {
+        issues = validateHierarchy(data);
+        validationPanel?.show(issues);
+    }
 
-        // Get node distance from his original position
-        const dx = d.x - d.x0;
-        const dy = d.y - d.y0;
-        const tranDistance = Math.sqrt(dx * dx + dy * dy);
+    // Fix Hypers and Father of every node from the structure of the tree
+    function repairData() {
+        applyEdit(fieldsOperation("Repair Hypers and Father", data, repairHierarchy, {op: "repair"}));
+        redrawTree();
+    }
 
-        // Set nodes to work on
-        const oldFather = d.parent.data;
-        const newFather = closestNode.data;
-        const currentNode = d.data;
+    // Remove every drawn node and link
+    function clearGraph() {
+        while (gLink.node().firstChild) {
+            gLink.node().firstChild.remove();
+        }
+        while (gNode.node().firstChild) {
+            gNode.node().firstChild.remove();
+        }
+    }
 
-        // If all are true, update the underlying structure and create the new graph.
-        if ((tranDistance > 2) &&           // If true, then it was not a dragging event (less than a minimum slide)
-            (minDistance < dndThreshold) && // If true, then "d" is close enough to a possible new father node
-            (oldFather !== newFather)) {    // If true, then "newFather" IS a new father
+    // Revert the last edit
+    function undoEdit() {
+        if (history.undo()) {
+            redrawTree();
+        }
+    }
 
-            // Remove child from oldFather node
-            let i = oldFather.Children.indexOf(currentNode);
-            oldFather.Children.splice(i, 1);
+    // Apply again the last reverted edit
+    function redoEdit() {
+        if (history.redo()) {
+            redrawTree();
+        }
+    }
 
-            // Add child in newFather node
-            newFather.Children.push(currentNode);
+    // Update undo/redo buttons and save button, depending on the history
+    function updateEditButtons() {
+        const nextUndo = history.nextUndo();
+        const nextRedo = history.nextRedo();
 
-            // Change father in currentNode, from oldFather to newFather
-            currentNode.Father = newFather.Name;
+        if (undoButton) {
+            undoButton.disabled = !nextUndo;
+            undoButton.title = nextUndo ? "Undo: " + nextUndo.label : "Nothing to undo";
+        }
+        if (redoButton) {
+            redoButton.disabled = !nextRedo;
+            redoButton.title = nextRedo ? "Redo: " + nextRedo.label : "Nothing to redo";
+        }
 
-            // Change, recursively, Hypers in currentNode and all his children
-            let fatherHypers = [...newFather.Hypers];
-            fatherHypers.unshift(newFather.Name);
-            changeHypers(currentNode, fatherHypers)
+        // Save is possible only if the current state is not the loaded (or last saved) one
+        const dirty = history.isDirty();
+        if (saveButton) {
+            saveButton.disabled = !dirty;
+            saveButton.innerHTML = dirty ? (syncing ? "Save on the server!" : "Save updates!") : "No updates available";
+        }
+        if (dirty !== wasDirty) {
+            wasDirty = dirty;
+            events.call("dirtyChanged", controller, {dirty: dirty});
+        }
+    }
 
-            // Update data and remove the old drawn tree. It will be totally re-draw
-            data = root.data;
-            while (gLink.node().firstChild) {
-                gLink.node().firstChild.remove();
-            }
-            while (gNode.node().firstChild) {
-                gNode.node().firstChild.remove();
-            }
+    // The zoom to node button needs a node with the infoBox
+    function updateZoomToNodeButton() {
+        if (zoomToNodeButton) {
+            zoomToNodeButton.disabled = !infoBox;
+        }
+    }
 
-            // Activate button for save
-            saveButton.disabled = false;
-            saveButton.innerHTML = "Save updates!";
+    // Expand every collapsed ancestor of the node holding "nodeData", then bring it into view and open its infoBox
+    function revealNode(nodeData) {
+        const target = allItems().find(item => item.data === nodeData);
 
-            // Re-create the whole tree
-            graphUpdate(event, null);
-        } else {
-            // Otherwise, the tree will be restored as before the drag-and-drop.
-            if (!(d.startDragging)) {   //This checks if "dragging" has been called at least once
-                graphUpdate(event, root);
-            } else {
-                delete d.startDragging;
+        if (!target) {
+            if (prunedView) {
+                showMessage(`"${nodeData.Name}" is hidden by the verb explorer`, true);
             }
+            return;
         }
 
-        // Recursive function for changing the Hypers in node and his children
-        function changeHypers(node, hypers) {
-            node.Hypers = hypers;
+        // Open the ancestors; the transition starts from the highest one opened
+        let source = undefined;
+        target.ancestors()
+            .slice(1)
+            .reverse()
+            .forEach(item => {
+                if (!item.children) {
+                    item.children = item._children;
+                    source = source ?? item;
+                }
+            });
+
+        removeInfoBox();
+        revealTarget = target;
+
+        // Keyboard navigation goes on from the revealed node
+        focusedData = target.data;
+
+        graphUpdate(null, source ?? root)
+            .end()
+            .catch(() => {})    // Transition interrupted: the node is shown anyway, unless another one was requested
+            .then(() => {
+                if (revealTarget !== target) {
+                    return;
+                }
+                revealTarget = undefined;
+
+                const targetElement = updateTabIndex(target);
+
+                keepInView(target, targetElement);
+                if (!infoBox || infoBox.datum() !== target) {
+                    nodeShowInfo(targetElement);
+                }
+            });
+    }
+
+    // Every node of the tree, also inside collapsed nodes (whose children are only in "_children")
+    function allItems() {
+        const items = [];
+        const stack = [root];
+        while (stack.length > 0) {
+            const item = stack.pop();
 
-            let hNext = [...hypers];
-            hNext.unshift(node.Name);
+            items.push(item);
+            stack.push(...(item._children ?? []));
+        }
+        return items;
+    }
 
-            node.Children.forEach(item =>
-                changeHypers(item, hNext)
-            )
+    // Node (data) given by the host page: a node of the hierarchy, or its path of names
+    function hostNode(node) {
+        const nodeData = Array.isArray(node) ? findByNames(data, node) : node;
+        if (!nodeData) {
+            throw new Error(`There is no node "${node.join(" > ")}"`);
         }
+        return nodeData;
+    }
+
+    // Open or close the node given by the host page (an opened node is shown, opening its ancestors), or every
+    // node if "node" is undefined (the root stays open)
+    function setExpanded(node, open) {
+        const nodeData = node === undefined ? undefined : hostNode(node);
+
+        allItems()
+            .filter(item => item._children && (nodeData ? item.data === nodeData : open || item !== root))
+            .forEach(item => {
+                item.children = open ? item._children : null;
+
+                if (open) {
+                    item.ancestors().forEach(ancestor => {
+                        ancestor.children = ancestor._children;
+                    });
+                }
+            });
+
+        removeInfoBox();
+        graphUpdate(null, root);
     }
 
     // Support function: delete infoBox (check function "nodeShowInfo") if present and reset variable
@@ -395,22 +2334,31 @@ export function Tree(data, {                                    // "data" is hie
         if (infoBox) {
             infoBox.remove();
             infoBox = undefined;
-
-            // Remove id "activeNode" from the last active node, if any
-            const lastActiveNode = document.getElementById("activeNode");
-            if (lastActiveNode) {
-                lastActiveNode.removeAttribute("id");
-            }
-
-            const lastActivePaths = [...document.getElementsByClassName("activePath")];
-            if (lastActivePaths) {
-                lastActivePaths.forEach(item => item.classList.remove("activePath"));
-            }
+            updateZoomToNodeButton();
+            updateSelectedNode();
+            autosave();
+            viewChanged();
+
+            // Remove class "activeNode" from the last active node, if any
+            gNode.selectAll(".activeNode")
+                .classed("activeNode", false);
+            gLink.selectAll(".activePath")
+                .classed("activePath", false);
         }
     }
 
     // Update top info box with data of clicked node
     function nodeShowInfo(target) {
+        // In compare mode the changes of the node are shown; removed nodes have no infoBox, as they can not be edited
+        const changes = diff?.byNode.get(d3.select(target).datum().data);
+        if (changes) {
+            showMessage(changes.map(formatChange).join("; "));
+        }
+        if (isRemoved(d3.select(target).datum())) {
+            removeInfoBox();
+            return;
+        }
+
         // Also moves current node to the front so the box is not under other elements
         const currentNodeGroup = d3.select(target).raise();
         const currentNodeElement = currentNodeGroup.node();
@@ -436,15 +2384,15 @@ export function Tree(data, {                                    // "data" is hie
 
         // Create the infoBox
         if (createBox) {
-            // Add id "activeNode" at the current node
-            currentNodeElement.setAttribute("id", "activeNode");
+            // Add class "activeNode" at the current node
+            currentNodeElement.classList.add("activeNode");
 
             // Change color for paths to the activeNode
             let targetPaths = [currentNodeValues];
             while (targetPaths.length > 0) {
                 const target = targetPaths.shift();
 
-                d3.selectAll("#groupStroke path")
+                gLink.selectAll("path")
                     .filter(item => item.target === target)
                     .attr("class", "activePath")
                     .each(item => targetPaths.push(item.source));
@@ -454,51 +2402,38 @@ export function Tree(data, {                                    // "data" is hie
             const labelWidth = currentNodeGroup.select("text").node()
                 .getBoundingClientRect().width;
 
-            // Set default box dimension
-            let infoBoxWidth = 250;
-            let infoboxHeight = 150;
+            // Set default box dimension and position (after the label, for leaves with horizontal labels)
+            let infoBoxWidth = 260;
+            let infoboxHeight = 170;
+            const labelAfterNode = !currentNodeValues._children && layout.labelRotation(currentNodeValues) === 0;
+            const infoBoxLeft = labelAfterNode ? ((labelSpacing*1.5) + labelWidth) : labelSpacing;
 
             // Group for infoBox
             infoBox = currentNodeGroup.append("g")
-                .attr("id", "iBox");
+                .attr("class", "iBox");
                 //.attr("pointer-events", "none");
 
             // Add background
             infoBox.append("rect")
-                .attr("id", "iBoxBg")
-                .attr("x", currentNodeValues._children ? labelSpacing : ((labelSpacing*1.5) + labelWidth))
+                .attr("class", "iBoxBg")
+                .attr("x", infoBoxLeft)
                 .attr("y", -(infoboxHeight / 2))
                 .attr("width", infoBoxWidth)
                 .attr("height", infoboxHeight);
 
-            // Add infos
-            let startTextPos = -63;
-            let textToAdd;
-
-            // Text for name
-            const infoBoxTextName = infoBox.append("text")
-                .attr("x", 12 + (!currentNodeValues._children ? labelWidth + 3 : 0))
-                .attr("y", startTextPos);
-            textToAdd = "Name: " + currentNodeValues.data.Name;
-            infoBoxTextName.text(textToAdd);
-            startTextPos += infoBoxTextName.node().getBBox().height + 3; // Update next position
-
-            // Text for synonyms
-            const infoBoxTextSynonyms = infoBox.append("text")
-                .attr("x", 12 + (!currentNodeValues._children ? labelWidth + 3 : 0))
-                .attr("y", startTextPos);
-            textToAdd = "Synonyms: " + getValuesForText(currentNodeValues.data.Synonyms);
-            infoBoxTextSynonyms.text(textToAdd)
-                .call(wrapText, infoBoxWidth - 10);
-            startTextPos += infoBoxTextSynonyms.node().getBBox().height + 3; // Update next position
-
-            // Text for verbs
-            const infoBoxTextVerbs = infoBox.append("text")
-                .attr("x", 12 + (!currentNodeValues._children ? labelWidth + 3 : 0))
-                .attr("y", startTextPos);
-            textToAdd = "Verbs: " + getValuesForText(currentNodeValues.data.Verbs);
-            infoBoxTextVerbs.text(textToAdd)
-                .call(wrapText, infoBoxWidth - 10);
+            // Add the editor for name, synonyms and verbs
+            const infoBoxContent = infoBox.append("foreignObject")
+                .attr("x", infoBoxLeft + 3)
+                .attr("y", -(infoboxHeight / 2) + 3)
+                .attr("width", infoBoxWidth - 6)
+                .attr("height", infoboxHeight - 6);
+
+            createNodeEditor(infoBoxContent, currentNodeValues.data, {
+                onRename: newName => renameNode(currentNodeGroup, newName),
+                onListChange: (key, newList) => {
+                    applyEdit(listOperation(currentNodeValues.data, key, newList));
+                },
+            });
 
             // Change viewBox values if infoBox is out-of-bounds
             // Initialize new viewBox with current one
@@ -506,11 +2441,9 @@ export function Tree(data, {                                    // "data" is hie
                 .split(",")
                 .map(d => parseFloat(d));
 
-            // Get top-left point of node
-            const [nodeLeft, nodeTop] = currentNodeGroup.attr("transform")
-                .slice(10, -1)
-                .split(", ")
-                .map(d => parseFloat(d));
+            // Get position of node
+            const nodeLeft = currentNodeValues.y;
+            const nodeTop = currentNodeValues.x;
 
             // Check upper border
             const upperLimit = nodeTop - (infoboxHeight / 2);
@@ -528,197 +2461,363 @@ export function Tree(data, {                                    // "data" is hie
             }
 
             // Check right border
-            const rightLimit = nodeLeft + currentNodeElement.getBBox().width;
-            if (rightLimit > newViewBox[2]) {
-                newViewBox[2] = rightLimit;
-            }
-
-            finalViewBox = [-40, newViewBox[1], newViewBox[2], newViewBox[3]];
-
-            // Internal function for formatting an array
-            function getValuesForText(origin, limit = 40) {
-                let possibleText = origin;
-
-                if (possibleText.length > 0) {
-                    if (possibleText.length > 50) {
-                        const first50 = possibleText.slice(0, limit);
-                        const remaining = possibleText.length - limit;
-
-                        possibleText = first50
-                            .map(s => s.charAt(0).toUpperCase() + s.slice(1))
-                            .map(s => s.replace("_", " "))
-                            .join(", ");
-                        possibleText += ` and ${remaining} more.`;
-                    } else {
-                        possibleText = possibleText
-                            .map(s => s.charAt(0).toUpperCase() + s.slice(1))
-                            .map(s => s.replace("_", " "))
-                            .join(", ");
-                    }
-                } else {
-                    possibleText = "None";
-                }
-
-                return possibleText;
-            }
-
-            // Internal function for split a string
-            function wrapText(text, width) {
-                text.each(function () {
-                    const text = d3.select(this);
-                    const words = text.text().split(" ").reverse();
-
-                    let word;
-                    let line = [];
-                    let lineNumber = 0;
-                    let lineHeight = 1.1;
-
-                    let x = text.attr("x");
-                    let y = text.attr("y");
-                    let dy = 0;
-
-                    let tspan = text.text(null)
-                        .append("tspan")
-                        .attr("x", x)
-                        .attr("y", y)
-                        .attr("dy", dy + "em");
-
-                    while (word = words.pop()) {
-                        line.push(word);
-                        tspan.text(line.join(" "));
-
-                        if (tspan.node().getComputedTextLength() > width) {
-                            line.pop();
-                            tspan.text(line.join(" "));
-                            line = [word];
-
-                            tspan = text.append("tspan")
-                                .attr("x", x)
-                                .attr("y", y)
-                                .attr("dy", ++lineNumber * lineHeight + dy + "em").text(word);
-                        }
-                    }
-                });
+            const rightLimit = nodeLeft + infoBoxLeft + infoBoxWidth + 2;
+            if (rightLimit > newViewBox[0] + newViewBox[2]) {
+                newViewBox[2] = rightLimit - newViewBox[0];
             }
+
+            finalViewBox = newViewBox;
         }
 
         svg.transition()
             .duration(transitionDuration)
             .attr("viewBox", finalViewBox)
-            .tween("resize", window.ResizeObserver ? null : () => () => svg.dispatch("toggle"));
+            .tween("resize", window.ResizeObserver ? null : () => () => svg.dispatch("toggle"))
+            .on("end.minimap", treeZoom.updateViewport);
+
+        updateZoomToNodeButton();
+        updateSelectedNode();
+        autosave();
+        viewChanged();
+    }
+
+    // The node with the infoBox is the selected one, for assistive technologies
+    function updateSelectedNode() {
+        gNode.selectChildren("g")
+            .attr("aria-selected", d => String(!!infoBox && infoBox.datum() === d));
     }
 
     // Function for the save button in the info box
     function updatedDataSave() {
-        // Uncomment next line for a faster, but less readable, file
-        // const message = JSON.stringify(data);
+        // An invalid file could break the editor when it is loaded again
+        if (issues.length > 0 &&
+            !confirm(`The hierarchy has ${issues.length} problems (e.g. ${issues[0].path.join(" > ")}: ` +
+                `${issues[0].message}). Save anyway?`)) {
+            return;
+        }
+
+        if (syncing) {
+            saveToServer();
+            return;
+        }
 
-        // Slower but more human-readable file
-        const message = indentedRecursiveSave(data);
+        const {message, fileName} = serializeData();
 
         // Create blob for save
         let blob = new Blob([message], {
             type: "text/plain;charset=utf-8",
         });
 
-        const fileName = "hierarchyData_updated.json";
-
         saveAs(blob, fileName);
 
-        saveButton.disabled = true;
-        saveButton.innerHTML = "No updates available";
+        // Saved state is the new reference for the save button
+        restoredChanges = [];
+        history.markSaved();
+    }
+
+    // Text of the hierarchy file to save ("message"), in the save format, and its name
+    function serializeData() {
+        let message;
+        let fileName;
+
+        if (fileFormat === FLAT_FORMAT) {
+            // Flat format (as cleanData.json), with the indexes of the loaded file
+            message = serializeFlat(nestedToFlat(data, detachedRecords));
+            fileName = (sourceName ?? "cleanData") + "_updated.json";
+        } else {
+            // Uncomment next line for a faster, but less readable, file
+            // message = JSON.stringify(data);
+
+            // Slower but more human-readable file
+            message = serializeNested(data);
+            fileName = (sourceName ?? "hierarchyData") + "_updated.json";
+        }
+
+        return {message: message, fileName: fileName};
     }
 
-    // Recursive function for update saving
-    function indentedRecursiveSave(infoData, layer = 0) {
-        const tabs = "\t".repeat(layer);
-        let message = tabs + "{";
+    // Save button with a sync server: push the hierarchy to the server. If someone else saved it since it was
+    // loaded, the server rejects it: offer to load their version and apply the local edits again.
+    async function saveToServer() {
+        if (serverSaving) {
+            return;
+        }
+        serverSaving = true;
+
+        try {
+            const {message} = serializeData();
+            if (await sync.save(message)) {
+                restoredChanges = [];
+                history.markSaved();
+                sourceFingerprint = fingerprint(JSON.parse(message));
+                showMessage("Saved on the server");
+                return;
+            }
 
-        // Name line
-        message += "\"Name\": \"" + infoData.Name + "\",\n";
+            const changes = unsavedChanges();
+            if (confirm("Someone else saved the hierarchy on the server after you loaded it, so your version would " +
+                `overwrite their edits. Load their version and apply your ${changes.length} changes again?`)) {
+                await reloadFromServer(changes);
+            } else {
+                showMessage("Not saved: the hierarchy on the server is newer than the one edited here", true);
+            }
+        } catch (error) {
+            showMessage(`Can not save on the server: ${error.message}`, true);
+        } finally {
+            serverSaving = false;
+        }
+    }
 
-        // Synonyms line
-        const synStr = infoData.Synonyms
-            .map(syn => "\"" + syn + "\"")
-            .join(", ");
-        message += tabs + " \"Synonyms\": [" + synStr + "],\n";
+    // Load the hierarchy on the server and replay "changes" (the local edits) on it, as a single edit to check
+    // before saving again
+    async function reloadFromServer(changes) {
+        const content = await sync.load();
+        loadHierarchy(content);
+        sourceFingerprint = fingerprint(content);
 
-        // Hypernyms line
-        const hypStr = infoData.Hypers
-            .map(syn => "\"" + syn + "\"")
-            .join(", ");
-        message += tabs + " \"Hypers\": [" + hypStr + "],\n";
+        const result = replayEdits(changes, "Apply the local edits again", "Local edits");
+        showMessage(`Loaded the version on the server and applied ${result.applied.length} of ${changes.length} ` +
+            "local changes again" + conflictsNote(result), result.conflicts.length > 0);
+    }
 
-        // Verbs line
-        const verStr = infoData.Verbs
-            .map(syn => "\"" + syn + "\"")
-            .join(", ");
-        message += tabs + " \"Verbs\": [" + verStr + "],\n";
+    // Changes not saved yet (see changeSet.js), also those of a restored session
+    function unsavedChanges() {
+        return [...restoredChanges, ...history.unsavedOperations().flatMap(operation => operation.changes())];
+    }
 
-        //Father line
-        message += tabs + " \"Father\": \"" + infoData.Father + "\",\n";
+    // Make "changes" again on the hierarchy as a single edit ("label"), and show the conflicts in the change-set
+    // panel under "title"; returns the result of replayChangeSet
+    function replayEdits(changes, label, title) {
+        const result = replayChangeSet(data, changes, label);
+        if (result.operation) {
+            applyEdit(result.operation);
+            redrawTree();
+        }
+        changeSetPanel?.show({fileName: title, ...result});
+        return result;
+    }
 
-        //Children line (with the recursive call)
-        let childrenString;
-        if (infoData.Children.length > 0) {
-            const childrenMessages = infoData.Children.map(child => {
-                return indentedRecursiveSave(child, layer + 1);
-            });
-            childrenString = "[\n" + childrenMessages.join(",\n") + "\n" + tabs + "]";
+    // End of the message about changes made again
+    function conflictsNote({conflicts}) {
+        return conflicts.length > 0 ? `, ${conflicts.length} in conflict (see Change-set)` : ": save to share them";
+    }
+
+    // Export button of the change-set panel: the edits made since the hierarchy was opened, as a change-set
+    function exportChangeSet() {
+        const changes = history.operations().flatMap(operation => operation.changes());
+
+        const blob = new Blob([serializeChangeSet(changes, sourceFingerprint)], {
+            type: "application/json;charset=utf-8",
+        });
+
+        saveAs(blob, (sourceName ?? "hierarchyData") + "_changes.json");
+        showMessage(`Exported ${changes.length} change${changes.length === 1 ? "" : "s"}`);
+    }
+
+    // Replay the change-set in "file" on the hierarchy, as a single edit, and list the changes that can not be made
+    async function applyChangeSetFile(file) {
+        let changeSet;
+        try {
+            changeSet = readChangeSet(await readHierarchyFile(file));
+        } catch (error) {
+            showMessage(`Can not apply the change-set: ${error.message}`, true);
+            return;
+        }
+
+        const result = replayChangeSet(data, changeSet.changes, `Apply the change-set "${file.name}"`);
+        if (result.operation) {
+            applyEdit(result.operation);
+            redrawTree();
+        }
+        changeSetPanel?.show({fileName: file.name, ...result});
+
+        const otherBase = changeSet.base && changeSet.base !== sourceFingerprint ?
+            " (it was made on another version of the hierarchy)" : "";
+        showMessage(`Applied ${result.applied.length} of ${changeSet.changes.length} changes of "${file.name}"` +
+            (result.conflicts.length > 0 ? `, ${result.conflicts.length} in conflict${otherBase}` : ""),
+            result.conflicts.length > 0);
+    }
+
+    // Click on a conflict of the change-set panel: the nearest node of its path still in the hierarchy
+    function revealChange(change) {
+        const path = [change?.node ?? change?.father ?? []].flat();
+
+        for (let length = path.length; length > 0; length--) {
+            const node = findByNames(data, path.slice(0, length));
+            if (node) {
+                revealNode(node);
+                return;
+            }
+        }
+    }
+
+    // Function for the export button: write the hierarchy in the chosen format
+    function exportData() {
+        const format = exportFormats[exportSelect.property("value")];
+
+        const blob = new Blob([format.serialize(data)], {
+            type: format.mimeType + ";charset=utf-8",
+        });
+
+        saveAs(blob, (sourceName ?? "hierarchyData") + format.extension);
+    }
+
+    // Function for the image button: the whole drawn tree, the part visible in the window or the subtree of the
+    // node with the infoBox, as SVG or PNG
+    async function exportImage() {
+        let keep = () => true;
+        let fileName = sourceName ?? "hierarchyData";
+        let box;
+
+        if (imageTools.region.value === "view") {
+            box = treeZoom.visibleArea();
+        } else if (imageTools.region.value === "subtree") {
+            if (!infoBox) {
+                showMessage("Click on a node to choose the subtree to export", true);
+                return;
+            }
+
+            const top = infoBox.datum();
+            const inSubtree = d => d.ancestors().includes(top);
+
+            // Links have "source" and "target", nodes are hierarchy nodes
+            keep = element => {
+                const d = d3.select(element).datum();
+                return d.target ? inSubtree(d.source) : inSubtree(d);
+            };
+            box = nodesBox(d => inSubtree(d));
+            fileName += "_" + top.data.Name;
+        } else {
+            box = nodesBox(() => true);
+        }
+
+        const image = treeToSvg(svg.node(), gZoom.node(), {
+            box: box,
+            keep: keep,
+            omit: ".iBox",
+            legendElement: imageTools.legend.checked ? legendElement : undefined,
+        });
+
+        if (imageTools.format.value === "png") {
+            try {
+                saveAs(await svgToPng(image, Number(imageTools.scale.value)), fileName + ".png");
+            } catch (error) {
+                showMessage(`Can not create the image: ${error.message}`, true);
+            }
         } else {
-            childrenString = "[]";
+            saveAs(new Blob([image.text], {type: "image/svg+xml;charset=utf-8"}), fileName + ".svg");
         }
-        message += tabs + " \"Children\": " + childrenString + "\n";
 
-        message += tabs + "}";
+        // Area taken by the drawn nodes (with their labels) accepted by "filter", in the coordinates of the tree
+        function nodesBox(filter) {
+            const boxes = gNode.selectChildren("g")
+                .filter(filter)
+                .nodes()
+                .map(element => {
+                    const d = d3.select(element).datum();
+                    const elementBox = element.getBBox();
+                    return {x: elementBox.x + d.y, y: elementBox.y + d.x, width: elementBox.width, height: elementBox.height};
+                });
+
+            const x = d3.min(boxes, b => b.x);
+            const y = d3.min(boxes, b => b.y);
+            return {
+                x: x,
+                y: y,
+                width: d3.max(boxes, b => b.x + b.width) - x,
+                height: d3.max(boxes, b => b.y + b.height) - y,
+            };
+        }
+    }
 
-        return message;
+    sourceFingerprint = fingerprint(data);
+    loadHierarchy(data);
+    offerSessionRestore();
+    if (linkInUrl) {
+        applyLink();
+        linkEnabled = true;
     }
 
-    graphUpdate(null, root);
+    return controller;
 }
 
-// Add a graphical legend in the top left corner
-export function createLegend([nodeNormClass, nodeLeafClass, nodeCollClass]) {
+// Add a graphical legend in "element" (a group of an SVG element, whose height follows the legend).
+// With "encoding" ({size, color}, each {label, scale} or undefined) the legend also shows the scales used to size
+// and colour the nodes (see Tree). It can be called again to draw the legend of another encoding.
+export function createLegend(element, [nodeNormClass, nodeLeafClass, nodeCollClass], encoding = {}) {
     // Legend parameters
     const legendKeys = [
-        {name: "Internal Node", id: nodeNormClass+"Leg"},
-        {name: "Leaf Node", id: nodeLeafClass+"Leg"},
-        {name: "Collapsed Node", id: nodeCollClass+"Leg"},
-        {name: "Active Node", id: "activeNodeLeg"}
+        {name: "Internal Node", className: nodeNormClass},
+        {name: "Leaf Node", className: nodeLeafClass},
+        {name: "Collapsed Node", className: nodeCollClass},
+        {name: "Active Node", className: "activeNodeLeg"}
     ];
     let legendRadius = 6;
     let legendSpacing = 5;
 
-    // Legend container
-    const legend = d3.select("#groupLegend")
-        .selectAll(".legendItem")
-        .data(legendKeys);
+    // Keys of the size and colour scales, under a title
+    if (encoding.size) {
+        legendKeys.push({name: encoding.size.label, className: "legendTitle", title: true});
+        legendValues(encoding.size.scale).forEach(value => {
+            legendKeys.push({name: String(value), className: nodeLeafClass, radius: encoding.size.scale(value)});
+        });
+    }
+    if (encoding.color) {
+        legendKeys.push({name: encoding.color.label, className: "legendTitle", title: true});
+        legendValues(encoding.color.scale).forEach(value => {
+            legendKeys.push({name: String(value), className: nodeLeafClass, fill: encoding.color.scale(value)});
+        });
+    }
+
+    // Vertical position of every key: rows are as high as their circle
+    let y = 0;
+    legendKeys.forEach(d => {
+        d.radius = d.radius ?? legendRadius;
+        d.y = y;
+        y += Math.max(d.radius, legendRadius) * 2 + legendSpacing;
+    });
+
+    // Legend container (emptied, for a new encoding)
+    const legend = d3.select(element);
+    legend.selectAll("*")
+        .remove();
 
     // Legend icons
-    legend.enter()
+    legend.selectAll("circle")
+        .data(legendKeys.filter(d => !d.title))
+        .enter()
         .append("circle")
         .attr("cx", legendRadius + 1)
-        .attr("cy", legendRadius + 1)
-        .attr("r", legendRadius)
-        .attr("id", d => d.id)
-        .attr("transform",
-            (d, i) => {
-                let y = ((legendRadius * 2) + legendSpacing) * i;
-                return `translate(0, ${y})`;
-            })
+        .attr("cy", d => Math.max(d.radius, legendRadius) + 1)
+        .attr("r", d => d.radius)
+        .attr("class", d => d.className)
+        .style("fill", d => d.fill ?? null)
+        .attr("transform", d => `translate(0, ${d.y})`)
 
     // Legend texts
-    legend.enter()
+    legend.selectAll("text")
+        .data(legendKeys)
+        .enter()
         .append("text")
-        .attr("x", (legendRadius * 2) + legendSpacing)      // Diameter + padding between icon and text
-        .attr("y", (d, i) =>
-            ((legendRadius * 2) + legendSpacing) * i + 11)  // 11 is a fixed value for centering the text
-        .attr("id", d => d.id)
+        .attr("x", d => d.title ? 0 : (legendRadius * 2) + legendSpacing)     // Diameter + padding between icon and text
+        .attr("y", d => d.y + Math.max(d.radius, legendRadius) + 5)          // 5 is a fixed value for centering the text
+        .attr("class", d => d.className)
         .text(d => d.name)
 
-    // Set main div height
-    const buttonHeight = d3.select("#dlButton").node().offsetHeight;                // Button height
-    const svgHeight = ((legendRadius * 2) + legendSpacing) * legendKeys.length;     // SVG height
-    d3.select("#extraItems").style("height", (buttonHeight + svgHeight + 5) + "px");// Set height in div
+    // Set legend SVG height (main div height follows its content)
+    d3.select(element.ownerSVGElement).attr("height", Math.ceil(y));
+}
+
+// Values shown in the legend of a scale: the categories of an ordinal scale; for a continuous one, its extremes
+// and some whole numbers between them
+function legendValues(scale) {
+    if (!scale.ticks) {
+        return scale.domain();
+    }
+
+    const [min, max] = d3.extent(scale.domain());
+    const between = scale.ticks(3)
+        .filter(value => value > min && value < max && Number.isInteger(value));
+
+    return [...new Set([min, ...between, max])];
 }
\ No newline at end of file
@@ -0,0 +1,69 @@
+// Links to a view of the tree, kept in the hash of the URL, e.g.
+//   #node=object/beverage/alcohol&collapsed=object/dish,object/beverage/juice
+// A node is written as its path of names from the root (its Hypers, reversed, and its Name).
+// Open and closed nodes are written as the shorter of two lists: "collapsed" (every other node is open) or
+// "expanded" (every other node is closed).
+
+// Hash for a view: "node" is the path of the selected node (or undefined); "expanded" and "collapsed" list the
+// paths of the open and closed nodes with children
+export function formatLink({node, expanded, collapsed}) {
+    const parts = [];
+
+    if (node) {
+        parts.push("node=" + formatPath(node));
+    }
+    if (collapsed.length <= expanded.length) {
+        parts.push("collapsed=" + collapsed.map(formatPath).join(","));
+    } else {
+        parts.push("expanded=" + expanded.map(formatPath).join(","));
+    }
+
+    return "#" + parts.join("&");
+}
+
+// View written in a hash: {node, expanded, collapsed}, each undefined if not in the hash
+export function parseLink(hash) {
+    const link = {node: undefined, expanded: undefined, collapsed: undefined};
+
+    hash.replace(/^#/, "")
+        .split("&")
+        .forEach(part => {
+            const separator = part.indexOf("=");
+            const key = part.slice(0, separator);
+            const value = part.slice(separator + 1);
+
+            if (separator < 0) {
+                return;
+            }
+            if (key === "node") {
+                link.node = parsePath(value);
+            } else if (key === "expanded" || key === "collapsed") {
+                link[key] = value.length > 0 ? value.split(",").map(parsePath) : [];
+            }
+        });
+
+    return link;
+}
+
+function formatPath(names) {
+    return names.map(encodeURIComponent).join("/");
+}
+
+function parsePath(text) {
+    try {
+        return text.split("/").map(decodeURIComponent);
+    } catch {
+        return [];      // Badly encoded: no node has this path
+    }
+}
+
+// Node (data) at a path of names in the (nested) hierarchy, undefined if there is none.
+// With duplicated names, the first child with the name is taken.
+export function findByNames(data, names) {
+    if (names.length === 0 || names[0] !== data.Name) {
+        return undefined;
+    }
+
+    return names.slice(1)
+        .reduce((node, name) => node?.Children.find(child => child.Name === name), data);
+}
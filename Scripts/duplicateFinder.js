@@ -0,0 +1,63 @@
+// Candidate duplicate concepts in a hierarchy (nested format): pairs of nodes sharing synonyms.
+// WordNet-derived hierarchies have near-duplicates, the same synonym set under different branches, to be merged
+// (see mergeOperation in hierarchyEdits.js).
+
+// Synonyms of more nodes than this are too common to tell duplicates
+const maxSharing = 20;
+
+// Pairs of nodes sharing at least "minShared" synonyms: list of {a, b, shared, score}, where "shared" lists the
+// synonyms in common and "score" is the overlap of the two sets (shared / all synonyms of the two nodes, 1 for the
+// same set), best first. "a" comes before "b" in file order.
+export function findDuplicates(data, {minShared = 1} = {}) {
+    const nodes = [];
+    const stack = [data];
+    while (stack.length > 0) {
+        const node = stack.pop();
+        nodes.push(node);
+        stack.push(...[...node.Children].reverse());
+    }
+
+    // Nodes of every synonym, in file order
+    const bySynonym = new Map();
+    nodes.forEach(node => {
+        new Set(node.Synonyms).forEach(synonym => {
+            if (!bySynonym.has(synonym)) {
+                bySynonym.set(synonym, []);
+            }
+            bySynonym.get(synonym).push(node);
+        });
+    });
+
+    // Synonyms in common for every pair of nodes: Map from "a" to a Map from "b" to the list of shared synonyms
+    const pairs = new Map();
+    bySynonym.forEach((list, synonym) => {
+        if (list.length < 2 || list.length > maxSharing) {
+            return;
+        }
+
+        list.forEach((a, i) => {
+            if (!pairs.has(a)) {
+                pairs.set(a, new Map());
+            }
+            list.slice(i + 1).forEach(b => {
+                const shared = pairs.get(a).get(b) ?? [];
+                shared.push(synonym);
+                pairs.get(a).set(b, shared);
+            });
+        });
+    });
+
+    const duplicates = [];
+    pairs.forEach((others, a) => {
+        others.forEach((shared, b) => {
+            if (shared.length >= minShared) {
+                const all = new Set([...a.Synonyms, ...b.Synonyms]);
+                duplicates.push({a: a, b: b, shared: shared, score: shared.length / all.size});
+            }
+        });
+    });
+
+    const order = new Map(nodes.map((node, i) => [node, i]));
+    return duplicates.sort((x, y) =>
+        (y.score - x.score) || (y.shared.length - x.shared.length) || (order.get(x.a) - order.get(y.a)));
+}
@@ -0,0 +1,61 @@
+// Panel of the candidate duplicate concepts (see duplicateFinder.js): the find button lists the pairs of nodes
+// sharing synonyms, from "getData()". Clicking a name calls "onSelect" with its node, the merge button of a pair
+// calls "onMerge" with it. Aborting "signal" removes the listeners added to the elements.
+
+import {findDuplicates} from "./duplicateFinder.js";
+
+// Maximum number of pairs listed (the summary always counts all of them)
+const maxListed = 100;
+
+export function createDuplicatePanel({findButton, summary, list}, {getData, onSelect, onMerge}, {
+    signal = undefined,
+} = {}) {
+    let found = false;      // The pairs were asked for, so they are found again when the hierarchy changes
+
+    findButton.addEventListener("click", () => {
+        found = true;
+        refresh();
+    }, {signal: signal});
+
+    // Find the pairs again (e.g. after an edit), if they are listed
+    function refresh() {
+        if (!found) {
+            return;
+        }
+
+        const pairs = findDuplicates(getData());
+        summary.textContent = pairs.length === 0 ?
+            "No nodes share synonyms" :
+            `${pairs.length} pair${pairs.length === 1 ? "" : "s"} of nodes sharing synonyms`;
+
+        d3.select(list)
+            .selectAll("li")
+            .data(pairs.slice(0, maxListed))
+            .join(enter => {
+                const li = enter.append("li");
+                li.append("span")
+                    .attr("class", "duplicateLink duplicateA");
+                li.append("span")
+                    .text(" / ");
+                li.append("span")
+                    .attr("class", "duplicateLink duplicateB");
+                li.append("button")
+                    .attr("type", "button")
+                    .text("Merge");
+                return li;
+            })
+            .attr("title", d => `Shared synonyms: ${d.shared.join(", ")}`)
+            .call(li => li.select(".duplicateA")
+                .text(d => `${d.a.Name} (under ${d.a.Father})`)
+                .on("click", (event, d) => onSelect(d.a)))
+            .call(li => li.select(".duplicateB")
+                .text(d => `${d.b.Name} (under ${d.b.Father})`)
+                .on("click", (event, d) => onSelect(d.b)))
+            .call(li => li.select("button")
+                .on("click", (event, d) => onMerge(d)));
+    }
+
+    return {
+        refresh: refresh,
+    };
+}
@@ -0,0 +1,73 @@
+// Undo/redo history of the edits made on the hierarchy.
+// Every edit is an operation {label, apply, revert}: "apply" is called when it is pushed and on redo,
+// "revert" on undo. The history also tracks if the current state differs from the last loaded/saved one.
+
+export function createEditHistory({onChange = () => {}} = {}) {
+    const done = [];
+    const undone = [];
+    let savedPosition = 0;      // Number of done operations at the last load/save (-1 if that state is lost)
+
+    return {
+        // Apply a new operation; operations previously undone can not be redone anymore
+        push(operation) {
+            operation.apply();
+
+            if (savedPosition > done.length) {
+                savedPosition = -1;
+            }
+            done.push(operation);
+            undone.length = 0;
+
+            onChange();
+        },
+
+        undo() {
+            const operation = done.pop();
+            if (operation) {
+                operation.revert();
+                undone.push(operation);
+                onChange();
+            }
+            return operation;
+        },
+
+        redo() {
+            const operation = undone.pop();
+            if (operation) {
+                operation.apply();
+                done.push(operation);
+                onChange();
+            }
+            return operation;
+        },
+
+        // Next operations for undo and redo (undefined if none)
+        nextUndo: () => done[done.length - 1],
+        nextRedo: () => undone[undone.length - 1],
+
+        // Operations done since the last load, oldest first (e.g. to write them in a change-set)
+        operations: () => [...done],
+
+        // Operations done since the last load/save, oldest first; all the done ones if that state was undone
+        unsavedOperations: () => savedPosition >= 0 && savedPosition <= done.length ?
+            done.slice(savedPosition) : [...done],
+
+        // True if the current state is not the last loaded/saved one
+        isDirty: () => done.length !== savedPosition,
+
+        // Current state is the saved one
+        markSaved() {
+            savedPosition = done.length;
+            onChange();
+        },
+
+        // Forget every operation: current state is a newly loaded one ("dirty" if it is not the saved one,
+        // e.g. restored from an autosave)
+        clear({dirty = false} = {}) {
+            done.length = 0;
+            undone.length = 0;
+            savedPosition = dirty ? -1 : 0;
+            onChange();
+        },
+    };
+}
@@ -0,0 +1,108 @@
+// Scripted edits of a hierarchy (nested format), for the command-line tool (see hierarchyCli.js).
+// A script has one command per line; empty lines and lines starting with "#" are skipped:
+//   move <node> under <father>
+// A node is given by its name or, when the name is used by several nodes, by its path of names from the root
+// separated by "/" (e.g. object/food/vegetable/legume).
+
+import {reparentOperation} from "./hierarchyEdits.js";
+import {findByNames} from "./deepLink.js";
+
+const movePattern = /^move\s+(\S+)\s+under\s+(\S+)$/i;
+
+// Commands of the script "text": list of {line, action, node, father} ("line" counts from 1).
+// Throws an error naming the first line that is not a command.
+export function parseEditScript(text) {
+    const commands = [];
+
+    text.split(/\r?\n/).forEach((content, i) => {
+        const line = content.trim();
+        if (line.length === 0 || line.startsWith("#")) {
+            return;
+        }
+
+        const match = line.match(movePattern);
+        if (!match) {
+            throw new Error(`Line ${i + 1}: unknown command "${line}" (expected "move <node> under <father>")`);
+        }
+        commands.push({line: i + 1, action: "move", node: match[1], father: match[2]});
+    });
+
+    return commands;
+}
+
+// Apply the commands (made by parseEditScript) to "data", in order, and return the labels of the edits made.
+// A node already under its new father is left where it is. If a command can not be applied, the edits already
+// made are reverted, so "data" is unchanged, and an error naming the line of the command is thrown.
+export function applyEditScript(data, commands) {
+    const applied = [];
+
+    try {
+        commands.forEach(command => {
+            const operation = moveOperation(data, command);
+            if (operation) {
+                operation.apply();
+                applied.push(operation);
+            }
+        });
+    } catch (error) {
+        [...applied].reverse().forEach(operation => operation.revert());
+        throw error;
+    }
+
+    return applied.map(operation => operation.label);
+}
+
+// Operation of a move command, undefined if there is nothing to do
+function moveOperation(data, {line, node: nodeName, father: fatherName}) {
+    const fathers = new Map();      // Father of every node, as it is now (previous commands moved nodes)
+    const stack = [data];
+    while (stack.length > 0) {
+        const item = stack.pop();
+        item.Children.forEach(child => fathers.set(child, item));
+        stack.push(...item.Children);
+    }
+
+    const node = findNode(data, fathers, nodeName, line);
+    const father = findNode(data, fathers, fatherName, line);
+
+    if (node === data) {
+        throw new Error(`Line ${line}: the root can not be moved`);
+    }
+    for (let item = father; item; item = fathers.get(item)) {
+        if (item === node) {
+            throw new Error(`Line ${line}: "${nodeName}" can not be moved under itself`);
+        }
+    }
+
+    if (fathers.get(node) !== father) {
+        return reparentOperation(node, fathers.get(node), father);
+    }
+}
+
+// Node given by a name or a path of names in a command
+function findNode(data, fathers, reference, line) {
+    if (reference.includes("/")) {
+        const node = findByNames(data, reference.split("/"));
+        if (!node) {
+            throw new Error(`Line ${line}: no node at the path "${reference}"`);
+        }
+        return node;
+    }
+
+    const nodes = [data, ...fathers.keys()].filter(item => item.Name === reference);
+    if (nodes.length === 0) {
+        throw new Error(`Line ${line}: no node named "${reference}"`);
+    }
+    if (nodes.length > 1) {
+        const paths = nodes.map(item => {
+            const names = [item.Name];
+            for (let father = fathers.get(item); father; father = fathers.get(father)) {
+                names.unshift(father.Name);
+            }
+            return names.join("/");
+        });
+        throw new Error(`Line ${line}: "${reference}" is the name of ${nodes.length} nodes, use its path ` +
+            `(${paths.join(" or ")})`);
+    }
+    return nodes[0];
+}
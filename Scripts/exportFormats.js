@@ -0,0 +1,178 @@
+// Serializers of the (nested) hierarchy for other tools: SKOS in Turtle for knowledge graphs, GraphML for
+// graph tools and CSV for spreadsheets. They only read the data, and escape every value for their format.
+
+// Namespace of the exported concepts and of the "verb" property
+export const DEFAULT_BASE_IRI = "http://example.org/food-hierarchy/";
+
+export const exportFormats = {
+    turtle: {label: "SKOS (Turtle)", extension: ".ttl", mimeType: "text/turtle", serialize: toTurtle},
+    graphml: {label: "GraphML", extension: ".graphml", mimeType: "application/graphml+xml", serialize: toGraphML},
+    csv: {label: "CSV", extension: ".csv", mimeType: "text/csv", serialize: toCSV},
+};
+
+// Every node with its father and depth, in file order (fathers before children)
+function listNodes(data) {
+    const list = [];
+    visit(data, undefined, 0);
+    return list;
+
+    function visit(node, father, depth) {
+        list.push({node: node, father: father, depth: depth});
+        node.Children.forEach(child => visit(child, node, depth + 1));
+    }
+}
+
+// Unique identifier of every node, from its name: duplicated names get a suffix ("_2", "_3", ...)
+function nodeIds(list) {
+    const ids = new Map();
+    const used = new Set();
+
+    list.forEach(({node}) => {
+        let id = node.Name;
+        for (let i = 2; used.has(id); i++) {
+            id = `${node.Name}_${i}`;
+        }
+
+        used.add(id);
+        ids.set(node, id);
+    });
+
+    return ids;
+}
+
+// Synonyms other than the name itself, which is already the preferred label in SKOS
+function otherSynonyms(node) {
+    return node.Synonyms.filter(synonym => synonym !== node.Name);
+}
+
+// --- SKOS, Turtle syntax ---
+
+function turtleString(value) {
+    const escaped = value
+        .replace(/\\/g, "\\\\")
+        .replace(/"/g, "\\\"")
+        .replace(/\n/g, "\\n")
+        .replace(/\r/g, "\\r")
+        .replace(/\t/g, "\\t");
+    return `"${escaped}"@en`;
+}
+
+export function toTurtle(data, {baseIri = DEFAULT_BASE_IRI} = {}) {
+    const list = listNodes(data);
+    const ids = nodeIds(list);
+    const iri = node => `<${baseIri}${encodeURIComponent(ids.get(node))}>`;
+    const scheme = `<${baseIri}>`;
+
+    const lines = [
+        "@prefix rdf: <http://www.w3.org/1999/02/22-rdf-syntax-ns#> .",
+        "@prefix rdfs: <http://www.w3.org/2000/01/rdf-schema#> .",
+        "@prefix skos: <http://www.w3.org/2004/02/skos/core#> .",
+        `@prefix fh: <${baseIri}schema#> .`,
+        "",
+        "fh:verb a rdf:Property ;",
+        `    rdfs:label ${turtleString("verb")} ;`,
+        `    rdfs:comment ${turtleString("Cooking verb used with the concept")} .`,
+        "",
+        `${scheme} a skos:ConceptScheme ;`,
+        `    skos:prefLabel ${turtleString(data.Name)} ;`,
+        `    skos:hasTopConcept ${iri(data)} .`,
+    ];
+
+    list.forEach(({node, father}) => {
+        const properties = [
+            `skos:prefLabel ${turtleString(node.Name)}`,
+        ];
+
+        const synonyms = otherSynonyms(node);
+        if (synonyms.length > 0) {
+            properties.push(`skos:altLabel ${synonyms.map(turtleString).join(", ")}`);
+        }
+        if (father) {
+            properties.push(`skos:broader ${iri(father)}`);
+        } else {
+            properties.push(`skos:topConceptOf ${scheme}`);
+        }
+        properties.push(`skos:inScheme ${scheme}`);
+        if (node.Verbs.length > 0) {
+            properties.push(`fh:verb ${node.Verbs.map(turtleString).join(", ")}`);
+        }
+
+        lines.push("", `${iri(node)} a skos:Concept ;`);
+        lines.push(properties.map(property => "    " + property).join(" ;\n") + " .");
+    });
+
+    return lines.join("\n") + "\n";
+}
+
+// --- GraphML ---
+
+function xmlText(value) {
+    return String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&apos;");
+}
+
+// Lists (Synonyms, Verbs) are joined with "; ", as GraphML has no list type
+export function toGraphML(data) {
+    const list = listNodes(data);
+    const ids = nodeIds(list);
+
+    const lines = [
+        "<?xml version=\"1.0\" encoding=\"UTF-8\"?>",
+        "<graphml xmlns=\"http://graphml.graphdrawing.org/xmlns\"",
+        "    xmlns:xsi=\"http://www.w3.org/2001/XMLSchema-instance\"",
+        "    xsi:schemaLocation=\"http://graphml.graphdrawing.org/xmlns " +
+            "http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd\">",
+        "  <key id=\"name\" for=\"node\" attr.name=\"name\" attr.type=\"string\"/>",
+        "  <key id=\"synonyms\" for=\"node\" attr.name=\"synonyms\" attr.type=\"string\"/>",
+        "  <key id=\"verbs\" for=\"node\" attr.name=\"verbs\" attr.type=\"string\"/>",
+        "  <key id=\"depth\" for=\"node\" attr.name=\"depth\" attr.type=\"int\"/>",
+        "  <graph id=\"hierarchy\" edgedefault=\"directed\">",
+    ];
+
+    list.forEach(({node, depth}) => {
+        lines.push(`    <node id="${xmlText(ids.get(node))}">`);
+        lines.push(`      <data key="name">${xmlText(node.Name)}</data>`);
+        lines.push(`      <data key="synonyms">${xmlText(node.Synonyms.join("; "))}</data>`);
+        lines.push(`      <data key="verbs">${xmlText(node.Verbs.join("; "))}</data>`);
+        lines.push(`      <data key="depth">${depth}</data>`);
+        lines.push("    </node>");
+    });
+
+    // Edges go from the father to the child
+    list.filter(({father}) => father)
+        .forEach(({node, father}, i) => {
+            lines.push(`    <edge id="e${i}" source="${xmlText(ids.get(father))}" target="${xmlText(ids.get(node))}"/>`);
+        });
+
+    lines.push("  </graph>", "</graphml>");
+    return lines.join("\n") + "\n";
+}
+
+// --- CSV ---
+
+function csvField(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+// One line per node (father empty for the root); lists (Synonyms, Verbs) are joined with "; ".
+// Lines end with CRLF and the file starts with a byte order mark, so spreadsheets read accents correctly.
+export function toCSV(data) {
+    const rows = [["name", "father", "depth", "synonyms", "verbs"]];
+
+    listNodes(data).forEach(({node, father, depth}) => {
+        rows.push([
+            node.Name,
+            father ? father.Name : "",
+            depth,
+            node.Synonyms.join("; "),
+            node.Verbs.join("; "),
+        ]);
+    });
+
+    return "\uFEFF" + rows.map(row => row.map(csvField).join(",")).join("\r\n") + "\r\n";
+}
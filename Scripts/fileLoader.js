@@ -0,0 +1,25 @@
+// Read a hierarchy file chosen (or dropped) by the user.
+// Resolves with the parsed content; rejects with an error whose message can be shown to the user.
+export async function readHierarchyFile(file) {
+    const text = decodeHierarchyText(await file.arrayBuffer());
+
+    if (text.trim().length === 0) {
+        throw new Error(`"${file.name}" is empty`);
+    }
+
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new Error(`"${file.name}" is not a valid JSON file (${error.message})`);
+    }
+}
+
+// Text of the bytes of a hierarchy file.
+// Files are expected in UTF-8, but the data files of this project are in Windows-1252.
+export function decodeHierarchyText(buffer) {
+    try {
+        return new TextDecoder("utf-8", {fatal: true}).decode(buffer);
+    } catch {
+        return new TextDecoder("windows-1252").decode(buffer);
+    }
+}
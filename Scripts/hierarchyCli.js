@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+// Command-line tool for hierarchy files, working without the browser (Node.js 20 or later):
+//   node Scripts/hierarchyCli.js validate <file>
+//   node Scripts/hierarchyCli.js convert <file> --to nested|flat [--output <file>]
+//   node Scripts/hierarchyCli.js stats <file>
+//   node Scripts/hierarchyCli.js apply <file> <script> [--to nested|flat] [--output <file>]
+// Files can be in the nested (hierarchyData.json) or flat (cleanData.json) format. "apply" runs the commands of
+// a script of edits (see editScript.js), e.g. "move calvados under liquor". New files are written with the layout
+// of the editor (to the standard output without --output), in the format of the input file unless --to is given.
+// The exit code is 0 on success, 1 if the file has problems or a command fails, 2 for a wrong command line.
+
+import {readFile, writeFile} from "node:fs/promises";
+import {basename} from "node:path";
+import {parseArgs} from "node:util";
+
+import {readHierarchyFile} from "./fileLoader.js";
+import {
+    FLAT_FORMAT,
+    NESTED_FORMAT,
+    nestedToFlat,
+    serializeFlat,
+    serializeNested,
+    toNestedHierarchy,
+} from "./hierarchyFormats.js";
+import {validateHierarchy} from "./hierarchyValidator.js";
+import {childDistribution, nodeMetrics, subtreeStats} from "./subtreeStats.js";
+import {applyEditScript, parseEditScript} from "./editScript.js";
+
+const usage = `Usage:
+  node Scripts/hierarchyCli.js validate <file>
+  node Scripts/hierarchyCli.js convert <file> --to nested|flat [--output <file>]
+  node Scripts/hierarchyCli.js stats <file>
+  node Scripts/hierarchyCli.js apply <file> <script> [--to nested|flat] [--output <file>]`;
+
+// Commands: the number of file arguments they take, and what they do with them
+const commands = {
+    validate: {files: 1, run: validateCommand},
+    convert: {files: 1, run: convertCommand},
+    stats: {files: 1, run: statsCommand},
+    apply: {files: 2, run: applyCommand},
+};
+
+// Error in the command line, reported with the usage
+function usageError(message) {
+    return Object.assign(new Error(message), {usage: true});
+}
+
+try {
+    process.exitCode = await main(process.argv.slice(2));
+} catch (error) {
+    console.error(error.message);
+    if (error.usage) {
+        console.error(usage);
+    }
+    process.exitCode = error.usage ? 2 : 1;
+}
+
+async function main(args) {
+    const {values, positionals} = parseArgs({
+        args: args,
+        options: {
+            to: {type: "string"},
+            output: {type: "string", short: "o"},
+            help: {type: "boolean", short: "h"},
+        },
+        allowPositionals: true,
+        strict: false,
+    });
+
+    if (values.help) {
+        console.log(usage);
+        return 0;
+    }
+
+    const [name, ...files] = positionals;
+    const command = commands[name];
+    if (!command) {
+        throw usageError(name ? `Unknown command "${name}"` : "No command given");
+    }
+    if (files.length !== command.files) {
+        throw usageError(`"${name}" needs ${command.files} file${command.files === 1 ? "" : "s"}`);
+    }
+    if (values.to !== undefined && values.to !== NESTED_FORMAT && values.to !== FLAT_FORMAT) {
+        throw usageError(`Unknown format "${values.to}" (expected ${NESTED_FORMAT} or ${FLAT_FORMAT})`);
+    }
+
+    return command.run(files, values);
+}
+
+// Print the problems of the hierarchy; fails if there are any
+async function validateCommand([file]) {
+    const {data, format} = await readHierarchy(file);
+
+    const issues = validateHierarchy(data);
+    issues.forEach(issue => console.log(`${issue.path.join(" > ")}: ${issue.message}`));
+    console.log(`${file} (${format} format): ${issues.length} problem${issues.length === 1 ? "" : "s"} found`);
+
+    return issues.length > 0 ? 1 : 0;
+}
+
+// Write the hierarchy in the format given by --to
+async function convertCommand([file], {to, output}) {
+    if (to === undefined) {
+        throw usageError("\"convert\" needs the format to write (--to)");
+    }
+
+    const hierarchy = await readHierarchy(file);
+    await writeHierarchy(hierarchy, to, output);
+    return 0;
+}
+
+// Print the metrics of the whole hierarchy, and how its nodes are split among the top-level nodes
+async function statsCommand([file]) {
+    const {data} = await readHierarchy(file);
+
+    const stats = subtreeStats(data);
+    const item = stats.get(data);
+    Object.entries(nodeMetrics).forEach(([key, label]) => console.log(`${label}: ${item[key]}`));
+
+    console.log(`Under "${data.Name}":`);
+    childDistribution(data, stats).forEach(({node, size, share}) => {
+        console.log(`  ${node.Name}: ${size} (${Math.round(share * 100)}%)`);
+    });
+
+    return 0;
+}
+
+// Run the commands of the script on the hierarchy, and write the result
+async function applyCommand([file, scriptFile], {to, output}) {
+    const hierarchy = await readHierarchy(file);
+
+    // Broken lists would make the edits fail half-way
+    const broken = validateHierarchy(hierarchy.data)
+        .filter(issue => issue.kind === "field" || issue.kind === "shared");
+    if (broken.length > 0) {
+        throw new Error(`${file} can not be edited: ${broken[0].path.join(" > ")}: ${broken[0].message}`);
+    }
+
+    const commandList = parseEditScript(await readFile(scriptFile, "utf-8"));
+    const labels = applyEditScript(hierarchy.data, commandList);
+    labels.forEach(label => console.error(label));
+    console.error(`${labels.length} of ${commandList.length} command${commandList.length === 1 ? "" : "s"} ` +
+        "changed the hierarchy");
+
+    await writeHierarchy(hierarchy, to, output);
+    return 0;
+}
+
+// Content of a hierarchy file, in nested format: {data, format, detached} (see toNestedHierarchy)
+async function readHierarchy(file) {
+    const buffer = await readFile(file);
+    const content = await readHierarchyFile({name: basename(file), arrayBuffer: async () => buffer});
+    return toNestedHierarchy(content);
+}
+
+// Write the hierarchy to the "output" file (or the standard output), in the format "to" (default: the one it was
+// read in)
+async function writeHierarchy({data, format, detached}, to = format, output = undefined) {
+    const text = to === FLAT_FORMAT ? serializeFlat(nestedToFlat(data, detached)) : serializeNested(data);
+
+    if (output) {
+        await writeFile(output, text, "utf-8");
+    } else {
+        process.stdout.write(text + "\n");
+    }
+}
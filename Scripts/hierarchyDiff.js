@@ -0,0 +1,176 @@
+// Differences between two versions of a hierarchy (nested format).
+// The nested format has no identifiers, so nodes are paired by Name: nodes sharing a name in a version are
+// paired with the ones of the same father first, then in file order. A renamed node is seen as removed (old
+// name) and added (new name).
+
+// Order of the kinds of change in the change list
+export const CHANGE_KINDS = ["added", "removed", "moved", "synonyms", "verbs"];
+
+// Compare "oldData" with "newData". Returns:
+// - changes: list of {kind, name, node, oldNode, oldFather, oldFatherNode, newFather, added, removed, reordered}
+//   ("node" is the node of newData, or of oldData for removed nodes; fathers are given by name, except
+//   "oldFatherNode"; "added"/"removed" are the items added and removed from Synonyms or Verbs);
+// - byNode: Map from a node to its changes;
+// - removedNodes: Set of the nodes of oldData not in newData;
+// - removedUnder: Map from a node (of newData, or a removed one) to the removed nodes that were its children,
+//   where they can be drawn.
+export function diffHierarchies(oldData, newData) {
+    const oldByName = listByName(oldData);
+    const newByName = listByName(newData);
+
+    const newOf = new Map();        // Node of oldData -> paired node of newData
+    const changes = [];
+    const removedNodes = new Set();
+
+    newByName.forEach((newList, name) => {
+        const unpaired = [...(oldByName.get(name) ?? [])];
+        const rest = [];
+
+        // Same name and same father first
+        newList.forEach(item => {
+            const i = unpaired.findIndex(oldItem => fatherName(oldItem) === fatherName(item));
+            if (i >= 0) {
+                compare(unpaired.splice(i, 1)[0], item);
+            } else {
+                rest.push(item);
+            }
+        });
+
+        rest.forEach(item => {
+            if (unpaired.length > 0) {
+                compare(unpaired.shift(), item);
+            } else {
+                changes.push({kind: "added", name: name, node: item.node, newFather: fatherName(item)});
+            }
+        });
+
+        unpaired.forEach(remove);
+    });
+
+    oldByName.forEach((oldList, name) => {
+        if (!newByName.has(name)) {
+            oldList.forEach(remove);
+        }
+    });
+
+    // Removed nodes are drawn under their old father: its new version, or the removed node itself
+    const removedUnder = new Map();
+    changes.filter(change => change.kind === "removed" && change.oldFatherNode)
+        .forEach(change => {
+            const father = newOf.get(change.oldFatherNode) ?? change.oldFatherNode;
+            if (!removedUnder.has(father)) {
+                removedUnder.set(father, []);
+            }
+            removedUnder.get(father).push(change.node);
+        });
+
+    changes.sort((a, b) => (CHANGE_KINDS.indexOf(a.kind) - CHANGE_KINDS.indexOf(b.kind)) ||
+        (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+    const byNode = new Map();
+    changes.forEach(change => {
+        if (!byNode.has(change.node)) {
+            byNode.set(change.node, []);
+        }
+        byNode.get(change.node).push(change);
+    });
+
+    return {
+        changes: changes,
+        byNode: byNode,
+        removedNodes: removedNodes,
+        removedUnder: removedUnder,
+    };
+
+    // Internal function: changes between two paired nodes
+    function compare(oldItem, newItem) {
+        const name = newItem.node.Name;
+        newOf.set(oldItem.node, newItem.node);
+
+        if (fatherName(oldItem) !== fatherName(newItem)) {
+            changes.push({
+                kind: "moved",
+                name: name,
+                node: newItem.node,
+                oldNode: oldItem.node,
+                oldFather: fatherName(oldItem),
+                newFather: fatherName(newItem),
+            });
+        }
+
+        ["Synonyms", "Verbs"].forEach(key => {
+            const oldList = oldItem.node[key];
+            const newList = newItem.node[key];
+            const added = newList.filter(value => !oldList.includes(value));
+            const removed = oldList.filter(value => !newList.includes(value));
+            const reordered = added.length === 0 && removed.length === 0 &&
+                oldList.some((value, i) => newList[i] !== value);
+
+            if (added.length > 0 || removed.length > 0 || reordered) {
+                changes.push({
+                    kind: key.toLowerCase(),
+                    name: name,
+                    node: newItem.node,
+                    oldNode: oldItem.node,
+                    added: added,
+                    removed: removed,
+                    reordered: reordered,
+                });
+            }
+        });
+    }
+
+    // Internal function: a node of oldData not in newData
+    function remove(oldItem) {
+        removedNodes.add(oldItem.node);
+        changes.push({
+            kind: "removed",
+            name: oldItem.node.Name,
+            node: oldItem.node,
+            oldFather: fatherName(oldItem),
+            oldFatherNode: oldItem.father,
+        });
+    }
+}
+
+// Nodes of a hierarchy grouped by name: Map from a name to a list of {node, father}, in file order
+function listByName(data) {
+    const byName = new Map();
+    visit(data, undefined);
+    return byName;
+
+    function visit(node, father) {
+        if (!byName.has(node.Name)) {
+            byName.set(node.Name, []);
+        }
+        byName.get(node.Name).push({node: node, father: father});
+
+        node.Children.forEach(child => visit(child, node));
+    }
+}
+
+function fatherName(item) {
+    return item.father ? item.father.Name : undefined;
+}
+
+// One line of text describing a change
+export function formatChange(change) {
+    switch (change.kind) {
+        case "added":
+            return `added: ${change.name}` + (change.newFather ? ` (under ${change.newFather})` : "");
+        case "removed":
+            return `removed: ${change.name}` + (change.oldFather ? ` (was under ${change.oldFather})` : "");
+        case "moved":
+            return `moved: ${change.name} from ${change.oldFather ?? "the root"} to ${change.newFather ?? "the root"}`;
+        default: {
+            const items = [
+                ...change.added.map(value => "+" + value),
+                ...change.removed.map(value => "-" + value),
+            ];
+            if (change.reordered) {
+                items.push("new order");
+            }
+            return `${change.kind}: ${change.name}: ${items.join(", ")}`;
+        }
+    }
+}
@@ -0,0 +1,345 @@
+// Reversible edits on the nested hierarchy, to be pushed in the edit history (see editHistory.js).
+// Every operation also describes, with "changes()", what its last "apply" did: a list of changes that can be
+// written in a change-set and replayed on another copy of the hierarchy (see changeSet.js). Nodes are given by
+// their path of names from the root, taken from their Hypers before the change.
+
+// Move "node" from "oldFather" to "newFather", at position "index" of its children (default: last).
+// Father and Hypers of the moved subtree are updated; on revert the node gets back to its original position
+// and every node of the subtree gets back its original Hypers.
+// Positions are taken when the operation is applied, so several moves can be grouped (see groupOperation).
+export function reparentOperation(node, oldFather, newFather, index = undefined) {
+    let oldIndex = undefined;
+    let change = undefined;
+    const oldHypers = saveHypers(node);
+
+    return {
+        label: oldFather === newFather ?
+            `Move "${node.Name}" among the children of "${newFather.Name}"` :
+            `Move "${node.Name}" under "${newFather.Name}"`,
+
+        apply() {
+            change = {op: "move", node: namePath(node), father: namePath(newFather), index: index};
+
+            // Remove child from oldFather node, and add it in newFather node
+            oldIndex = oldFather.Children.indexOf(node);
+            oldFather.Children.splice(oldIndex, 1);
+            newFather.Children.splice(index ?? newFather.Children.length, 0, node);
+
+            // Change father in node, from oldFather to newFather
+            node.Father = newFather.Name;
+
+            // Change, recursively, Hypers in node and all his children
+            changeHypers(node, [newFather.Name, ...newFather.Hypers]);
+        },
+
+        revert() {
+            newFather.Children.splice(newFather.Children.indexOf(node), 1);
+            oldFather.Children.splice(oldIndex, 0, node);
+
+            node.Father = oldFather.Name;
+            restoreHypers(oldHypers);
+        },
+
+        changes: () => [change],
+    };
+}
+
+// Rename "node": the new name is also written as Father of its children and in the Hypers of its descendants
+export function renameOperation(node, newName) {
+    const oldName = node.Name;
+    const oldHypers = saveHypers(node);
+    let change = undefined;
+
+    return {
+        label: `Rename "${oldName}" to "${newName}"`,
+
+        apply() {
+            change = {op: "rename", node: namePath(node), name: newName};
+
+            node.Name = newName;
+            node.Children.forEach(child => {
+                child.Father = newName;
+                changeHypers(child, [newName, ...node.Hypers]);
+            });
+        },
+
+        revert() {
+            node.Name = oldName;
+            node.Children.forEach(child => {
+                child.Father = oldName;
+            });
+            restoreHypers(oldHypers);
+        },
+
+        changes: () => [change],
+    };
+}
+
+// Replace a list field ("Synonyms" or "Verbs") of "node" with "newList"
+export function listOperation(node, key, newList) {
+    const oldList = node[key];
+    let change = undefined;
+
+    return {
+        label: `Edit ${key} of "${node.Name}"`,
+
+        apply() {
+            change = {op: "list", node: namePath(node), field: key, from: [...oldList], to: [...newList]};
+            node[key] = [...newList];
+        },
+
+        revert() {
+            node[key] = [...oldList];
+        },
+
+        changes: () => [change],
+    };
+}
+
+// New node, without synonyms, verbs and children, to be placed under "father"
+export function createNode(father, name) {
+    return {
+        Name: name,
+        Synonyms: [],
+        Hypers: [father.Name, ...father.Hypers],
+        Verbs: [],
+        Father: father.Name,
+        Children: [],
+    };
+}
+
+// Add "node" (e.g. made by createNode) in the children of "father", at position "index" (default: last)
+export function addNodeOperation(node, father, index = father.Children.length) {
+    let change = undefined;
+
+    return {
+        label: `Add "${node.Name}" under "${father.Name}"`,
+
+        apply() {
+            change = {op: "add", father: namePath(father), name: node.Name, index: index};
+            father.Children.splice(index, 0, node);
+        },
+
+        revert() {
+            father.Children.splice(father.Children.indexOf(node), 1);
+        },
+
+        changes: () => [change],
+    };
+}
+
+// Delete "node" from the children of "father".
+// With "promoteChildren", its children are moved under "father" (where "node" was) instead of being deleted.
+export function deleteNodeOperation(node, father, promoteChildren = false) {
+    const index = father.Children.indexOf(node);
+    const oldHypers = saveHypers(node);
+    const promoted = promoteChildren ? [...node.Children] : [];
+    let change = undefined;
+
+    return {
+        label: promoteChildren ?
+            `Delete "${node.Name}", moving its children under "${father.Name}"` :
+            `Delete "${node.Name}" and its subtree`,
+
+        apply() {
+            change = {op: "delete", node: namePath(node), promoteChildren: promoteChildren};
+
+            father.Children.splice(index, 1, ...promoted);
+
+            promoted.forEach(child => {
+                child.Father = father.Name;
+                changeHypers(child, [father.Name, ...father.Hypers]);
+            });
+        },
+
+        revert() {
+            father.Children.splice(index, promoted.length, node);
+
+            promoted.forEach(child => {
+                child.Father = node.Name;
+            });
+            restoreHypers(oldHypers);
+        },
+
+        changes: () => [change],
+    };
+}
+
+// Merge "source" (child of "sourceFather") into "target": Synonyms and Verbs of "source" are added to the ones of
+// "target" (without duplicates), its children are moved under "target" (Father and Hypers updated) and "source" is
+// removed. "target" must not be in the subtree of "source".
+export function mergeOperation(source, sourceFather, target) {
+    const oldHypers = saveHypers(source);
+    let index = undefined;
+    let saved = undefined;          // Lists of "target" before the merge
+    let change = undefined;
+
+    return {
+        label: `Merge "${source.Name}" into "${target.Name}"`,
+
+        apply() {
+            change = {op: "merge", node: namePath(source), into: namePath(target)};
+            saved = {Synonyms: target.Synonyms, Verbs: target.Verbs, Children: [...target.Children]};
+
+            index = sourceFather.Children.indexOf(source);
+            sourceFather.Children.splice(index, 1);
+
+            target.Synonyms = [...new Set([...target.Synonyms, ...source.Synonyms])];
+            target.Verbs = [...new Set([...target.Verbs, ...source.Verbs])];
+            target.Children.push(...source.Children);
+
+            source.Children.forEach(child => {
+                child.Father = target.Name;
+                changeHypers(child, [target.Name, ...target.Hypers]);
+            });
+        },
+
+        revert() {
+            // When "target" is the father of "source", its saved children still include "source"
+            target.Synonyms = saved.Synonyms;
+            target.Verbs = saved.Verbs;
+            target.Children = saved.Children;
+            if (sourceFather !== target) {
+                sourceFather.Children.splice(index, 0, source);
+            }
+
+            source.Children.forEach(child => {
+                child.Father = source.Name;
+            });
+            restoreHypers(oldHypers);
+        },
+
+        changes: () => [change],
+    };
+}
+
+// Split "node" (child of "father") in two: "newNode" (e.g. made by createNode) is added after it, as its sibling,
+// and takes the "synonyms", "verbs" and "children" chosen among the ones of "node".
+export function splitOperation(node, father, newNode, {synonyms = [], verbs = [], children = []} = {}) {
+    const old = {Synonyms: node.Synonyms, Verbs: node.Verbs, Children: node.Children};
+    const oldHypers = saveHypers(node);
+    let change = undefined;
+
+    return {
+        label: `Split "${node.Name}" into "${node.Name}" and "${newNode.Name}"`,
+
+        apply() {
+            change = {
+                op: "split",
+                node: namePath(node),
+                name: newNode.Name,
+                synonyms: [...synonyms],
+                verbs: [...verbs],
+                children: children.map(child => child.Name),
+            };
+
+            node.Synonyms = old.Synonyms.filter(synonym => !synonyms.includes(synonym));
+            node.Verbs = old.Verbs.filter(verb => !verbs.includes(verb));
+            node.Children = old.Children.filter(child => !children.includes(child));
+
+            newNode.Synonyms = [...synonyms];
+            newNode.Verbs = [...verbs];
+            newNode.Children = [...children];
+            children.forEach(child => {
+                child.Father = newNode.Name;
+                changeHypers(child, [newNode.Name, ...newNode.Hypers]);
+            });
+
+            father.Children.splice(father.Children.indexOf(node) + 1, 0, newNode);
+        },
+
+        revert() {
+            father.Children.splice(father.Children.indexOf(newNode), 1);
+
+            node.Synonyms = old.Synonyms;
+            node.Verbs = old.Verbs;
+            node.Children = old.Children;
+            children.forEach(child => {
+                child.Father = node.Name;
+            });
+            restoreHypers(oldHypers);
+        },
+
+        changes: () => [change],
+    };
+}
+
+// Several operations, applied in order and reverted in reverse order, as a single edit named "label"
+export function groupOperation(label, operations) {
+    return {
+        label: label,
+
+        apply() {
+            operations.forEach(operation => operation.apply());
+        },
+
+        revert() {
+            [...operations].reverse().forEach(operation => operation.revert());
+        },
+
+        changes: () => operations.flatMap(operation => operation.changes()),
+    };
+}
+
+// Generic operation: "change" modifies fields of the nodes in the hierarchy (not its structure);
+// on revert every field of every node is restored as it was before. "record" is the change written in change-sets.
+export function fieldsOperation(label, data, change, record = {op: "fields", label: label}) {
+    const saved = new Map();
+    const stack = [data];
+    while (stack.length > 0) {
+        const node = stack.pop();
+        saved.set(node, {...node});
+
+        if (Array.isArray(node.Children)) {
+            stack.push(...node.Children.filter(child => child !== null && typeof child === "object"));
+        }
+    }
+
+    return {
+        label: label,
+
+        apply() {
+            change(data);
+        },
+
+        revert() {
+            saved.forEach((fields, node) => {
+                Object.keys(node).forEach(key => delete node[key]);
+                Object.assign(node, fields);
+            });
+        },
+
+        changes: () => [record],
+    };
+}
+
+// Recursive function for changing the Hypers in node and his children
+export function changeHypers(node, hypers) {
+    node.Hypers = hypers;
+
+    let hNext = [...hypers];
+    hNext.unshift(node.Name);
+
+    node.Children.forEach(item =>
+        changeHypers(item, hNext)
+    );
+}
+
+// Path of names of "node" from the root, as written in the changes
+function namePath(node) {
+    return [...node.Hypers].reverse().concat(node.Name);
+}
+
+// Copy of the Hypers of every node in the subtree, for restoreHypers
+function saveHypers(node, saved = new Map()) {
+    saved.set(node, [...node.Hypers]);
+    node.Children.forEach(child => saveHypers(child, saved));
+
+    return saved;
+}
+
+function restoreHypers(saved) {
+    saved.forEach((hypers, node) => {
+        node.Hypers = [...hypers];
+    });
+}
@@ -0,0 +1,197 @@
+// Converters between the two representations of the hierarchy:
+// - nested (e.g. hierarchyData.json): a single root object, "Father" is the father name ("ROOT" for the root),
+//   "Children" holds the child objects and "Hypers" ends with the root name;
+// - flat (e.g. cleanData.json): an array of records, "Index" identifies a record, "Father" is the father index
+//   (-1 for roots), "Children" holds indexes and "Hypers" does not include the root name.
+// The rest of the code always works on the nested format.
+
+export const NESTED_FORMAT = "nested";
+export const FLAT_FORMAT = "flat";
+
+// Name used as "Father" of the root in the nested format
+const nestedRootFather = "ROOT";
+
+// Return the format of the parsed file content, or throw an error if it is neither
+export function detectFormat(raw) {
+    if (Array.isArray(raw)) {
+        if (raw.length > 0 && raw.every(record => Number.isInteger(record?.Index))) {
+            return FLAT_FORMAT;
+        }
+        throw new Error("The list of nodes is empty or some node has no numeric \"Index\"");
+    }
+
+    if (raw !== null && typeof raw === "object" && Array.isArray(raw.Children)) {
+        return NESTED_FORMAT;
+    }
+
+    throw new Error("Unknown hierarchy format: expected a root object with \"Children\" or a list of indexed nodes");
+}
+
+// Convert any supported content to the nested format.
+// Returns the nested data, the detected format and the flat records not reachable from the root (if any),
+// which are kept apart so they can be written back unchanged.
+export function toNestedHierarchy(raw) {
+    const format = detectFormat(raw);
+
+    if (format === FLAT_FORMAT) {
+        return {format: format, ...flatToNested(raw)};
+    }
+    return {format: format, data: raw, detached: []};
+}
+
+// Build the nested hierarchy from the flat records.
+// The root is the first record without father; every node keeps its "Index", so it can be saved back with it.
+export function flatToNested(records) {
+    const byIndex = new Map(records.map(record => [record.Index, record]));
+
+    const rootRecord = records.find(record => record.Father === -1);
+    if (!rootRecord) {
+        throw new Error("No root found: there is no node with \"Father\" equal to -1");
+    }
+
+    const reached = new Set();
+    const data = createNode(rootRecord, nestedRootFather, []);
+
+    // Records not reachable from the root (e.g. leftovers of a previous clean-up)
+    const detached = records.filter(record => !reached.has(record.Index));
+
+    return {data: data, detached: detached};
+
+    // Internal recursive function: create the node and its subtree.
+    // "rootName" is empty for the root and holds its name for every other node (appended to "Hypers").
+    // Every record is used once, so a wrong index cannot produce a loop.
+    function createNode(record, fatherName, rootName) {
+        reached.add(record.Index);
+
+        const node = {
+            Index: record.Index,
+            Name: record.Name,
+            Synonyms: [...(record.Synonyms ?? [])],
+            Hypers: [...(record.Hypers ?? []), ...rootName],
+            Verbs: [...(record.Verbs ?? [])],
+            Father: fatherName,
+            Children: [],
+        };
+
+        (record.Children ?? []).forEach(childIndex => {
+            const childRecord = byIndex.get(childIndex);
+
+            if (childRecord && !reached.has(childIndex)) {
+                node.Children.push(createNode(childRecord, node.Name, rootName.length > 0 ? rootName : [node.Name]));
+            }
+        });
+
+        return node;
+    }
+}
+
+// Build the flat records from the nested hierarchy.
+// Nodes that already have an "Index" keep it; the others get new indexes after the highest one in use.
+export function nestedToFlat(data, detached = []) {
+    // Pre-order visit, so that indexes assigned to new nodes follow the tree order
+    const nodes = [];
+    const fatherOf = new Map();
+    const stack = [data];
+    while (stack.length > 0) {
+        const node = stack.pop();
+        nodes.push(node);
+
+        [...node.Children].reverse().forEach(child => {
+            fatherOf.set(child, node);
+            stack.push(child);
+        });
+    }
+
+    // Keep existing indexes (unless duplicated, e.g. after copying a node)
+    const used = new Set(detached.map(record => record.Index));
+    const indexOf = new Map();
+    nodes.forEach(node => {
+        if (Number.isInteger(node.Index) && !used.has(node.Index)) {
+            used.add(node.Index);
+            indexOf.set(node, node.Index);
+        }
+    });
+
+    let nextIndex = used.size > 0 ? Math.max(...used) + 1 : 0;
+    nodes.forEach(node => {
+        if (!indexOf.has(node)) {
+            indexOf.set(node, nextIndex++);
+        }
+    });
+
+    const records = nodes.map(node => ({
+        Index: indexOf.get(node),
+        Name: node.Name,
+        Synonyms: [...node.Synonyms],
+        Hypers: node === data ? [] : node.Hypers.slice(0, -1),     // Root name is not written
+        Verbs: [...node.Verbs],
+        Father: node === data ? -1 : indexOf.get(fatherOf.get(node)),
+        Children: node.Children.map(child => indexOf.get(child)),
+    }));
+
+    return [...records, ...detached]
+        .sort((a, b) => a.Index - b.Index);
+}
+
+// Write the flat records with the same layout of cleanData.json: one record per line
+export function serializeFlat(records) {
+    const lines = records.map(record => {
+        const fields = Object.entries(record).map(([key, value]) => {
+            const valueStr = Array.isArray(value) ?
+                "[" + value.map(item => JSON.stringify(item)).join(", ") + "]" :
+                JSON.stringify(value);
+
+            return JSON.stringify(key) + ": " + valueStr;
+        });
+
+        return "{" + fields.join(", ") + "}";
+    });
+
+    return "[" + lines.join(",\n") + "\n]";
+}
+
+// Write the nested hierarchy with the layout of hierarchyData.json: one field per line, children indented with tabs
+export function serializeNested(infoData, layer = 0) {
+    const tabs = "\t".repeat(layer);
+    let message = tabs + "{";
+
+    // Name line
+    message += "\"Name\": " + JSON.stringify(infoData.Name) + ",\n";
+
+    // Synonyms line
+    const synStr = infoData.Synonyms
+        .map(syn => JSON.stringify(syn))
+        .join(", ");
+    message += tabs + " \"Synonyms\": [" + synStr + "],\n";
+
+    // Hypernyms line
+    const hypStr = infoData.Hypers
+        .map(syn => JSON.stringify(syn))
+        .join(", ");
+    message += tabs + " \"Hypers\": [" + hypStr + "],\n";
+
+    // Verbs line
+    const verStr = infoData.Verbs
+        .map(syn => JSON.stringify(syn))
+        .join(", ");
+    message += tabs + " \"Verbs\": [" + verStr + "],\n";
+
+    //Father line
+    message += tabs + " \"Father\": " + JSON.stringify(infoData.Father) + ",\n";
+
+    //Children line (with the recursive call)
+    let childrenString;
+    if (infoData.Children.length > 0) {
+        const childrenMessages = infoData.Children.map(child => {
+            return serializeNested(child, layer + 1);
+        });
+        childrenString = "[\n" + childrenMessages.join(",\n") + "\n" + tabs + "]";
+    } else {
+        childrenString = "[]";
+    }
+    message += tabs + " \"Children\": " + childrenString + "\n";
+
+    message += tabs + "}";
+
+    return message;
+}
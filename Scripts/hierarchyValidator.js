@@ -0,0 +1,118 @@
+// Integrity checks of the nested hierarchy.
+// Every issue is {kind, node, path, message}, where "path" lists the names from the root to the node.
+// Kinds "hypers", "father" and "field" can be fixed from the structure with repairHierarchy.
+
+export const REPAIRABLE_KINDS = ["hypers", "father", "field"];
+
+export function validateHierarchy(data) {
+    const issues = [];
+    const nodesByName = new Map();
+    const visited = new Set();
+    const expectedHypersOf = new Map();
+
+    visit(data, null, []);
+
+    // Names must be unique: nodes are addressed by their name (names checked for new nodes, edit scripts) or by
+    // their path of names (deep links, change-sets)
+    nodesByName.forEach((nodes, name) => {
+        if (nodes.length > 1) {
+            nodes.forEach(({node, path}) => {
+                addIssue("duplicate", node, path, `Name "${name}" is used by ${nodes.length} nodes`);
+            });
+        }
+    });
+
+    return issues;
+
+    // Internal recursive function: check "node" (with its subtree), whose father is "father"
+    function visit(node, father, fatherPath) {
+        const path = [...fatherPath, String(node.Name)];
+
+        // The same object in two places would make a loop or a node with two fathers
+        if (visited.has(node)) {
+            addIssue("shared", node, path, "Node appears more than once in the hierarchy");
+            return;
+        }
+        visited.add(node);
+
+        if (typeof node.Name !== "string" || node.Name.length === 0) {
+            addIssue("name", node, path, "Name is missing or is not a text");
+        } else {
+            nodesByName.set(node.Name, [...(nodesByName.get(node.Name) ?? []), {node, path}]);
+        }
+
+        ["Synonyms", "Verbs", "Hypers", "Children"].forEach(key => {
+            if (!Array.isArray(node[key])) {
+                addIssue("field", node, path, `${key} is not a list`);
+            }
+        });
+        ["Synonyms", "Verbs"].forEach(key => {
+            if (Array.isArray(node[key]) && node[key].some(item => typeof item !== "string")) {
+                addIssue("field", node, path, `${key} contains values that are not texts`);
+            }
+        });
+
+        if (father) {
+            // Hypers must be the chain of ancestors, from the father to the root
+            const expectedHypers = [father.Name, ...expectedHypersOf.get(father)];
+            expectedHypersOf.set(node, expectedHypers);
+
+            if (!Array.isArray(node.Hypers) ||
+                node.Hypers.length !== expectedHypers.length ||
+                node.Hypers.some((item, i) => item !== expectedHypers[i])) {
+                addIssue("hypers", node, path,
+                    `Hypers should be [${expectedHypers.join(", ")}], found [${[node.Hypers].flat().join(", ")}]`);
+            }
+
+            if (node.Father !== father.Name) {
+                addIssue("father", node, path, `Father should be "${father.Name}", found "${node.Father}"`);
+            }
+        } else {
+            expectedHypersOf.set(node, []);
+
+            if (Array.isArray(node.Hypers) && node.Hypers.length > 0) {
+                addIssue("hypers", node, path, "Hypers of the root should be empty");
+            }
+        }
+
+        if (Array.isArray(node.Children)) {
+            node.Children.forEach(child => {
+                if (child === null || typeof child !== "object") {
+                    addIssue("field", node, path, "Children contains values that are not nodes");
+                } else {
+                    visit(child, node, path);
+                }
+            });
+        }
+    }
+
+    function addIssue(kind, node, path, message) {
+        issues.push({kind: kind, node: node, path: path, message: message});
+    }
+}
+
+// Fix, from the structure of the tree, Father and Hypers of every node, and replace invalid lists.
+// Duplicate names can not be fixed automatically.
+export function repairHierarchy(data) {
+    repairNode(data, null);
+
+    function repairNode(node, father) {
+        ["Synonyms", "Verbs", "Children"].forEach(key => {
+            if (!Array.isArray(node[key])) {
+                node[key] = [];
+            }
+        });
+        node.Synonyms = node.Synonyms.filter(item => typeof item === "string");
+        node.Verbs = node.Verbs.filter(item => typeof item === "string");
+        node.Children = node.Children.filter(child => child !== null && typeof child === "object");
+
+        if (father) {
+            node.Father = father.Name;
+            node.Hypers = [father.Name, ...father.Hypers];
+        } else {
+            node.Hypers = [];
+        }
+
+        node.Children.forEach(child => repairNode(child, node));
+    }
+}
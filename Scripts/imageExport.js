@@ -0,0 +1,149 @@
+// Export of the drawn tree as an image (standalone SVG, or PNG), without the tools around it.
+// The rules of the page stylesheets that apply to the tree (node colours, paths, label halos...) are copied
+// into the image, so it looks as on the page.
+
+const svgNamespace = "http://www.w3.org/2000/svg";
+
+// Largest PNG the browsers can draw (side and area, in pixels)
+const maxCanvasSide = 32767;
+const maxCanvasArea = 268435456;
+
+// SVG image of a region of the tree. Returns {text, width, height}.
+// - "zoomElement" is the group holding the groups of links and nodes (the zoom applied to it is not exported);
+// - "box" ({x, y, width, height}) is the region to draw, in the coordinates of "zoomElement";
+// - "keep(element)" tells which links and nodes (children of the groups in "zoomElement") are drawn;
+// - "omit" is a selector for elements never drawn (e.g. boxes with HTML content);
+// - "legendElement", if given, is drawn above the tree.
+export function treeToSvg(svgElement, zoomElement, {
+    box,
+    keep = () => true,
+    omit = "foreignObject",
+    legendElement = undefined,
+    padding = 10,
+    background = "white",
+}) {
+    // Copy of links and nodes, without the ones not kept
+    const tree = zoomElement.cloneNode(true);
+    tree.removeAttribute("transform");
+
+    const originals = [...zoomElement.children].flatMap(group => [...group.children]);
+    const copies = [...tree.children].flatMap(group => [...group.children]);
+    originals.forEach((element, i) => {
+        if (!keep(element)) {
+            copies[i].remove();
+        }
+    });
+    tree.querySelectorAll(omit).forEach(element => element.remove());
+
+    // Region of the image, with space for the legend above the tree
+    const area = {
+        x: box.x - padding,
+        y: box.y - padding,
+        width: box.width + 2 * padding,
+        height: box.height + 2 * padding,
+    };
+
+    let legend = undefined;
+    if (legendElement) {
+        const legendBox = legendElement.getBBox();
+        area.y -= legendBox.height + padding;
+        area.height += legendBox.height + padding;
+        area.width = Math.max(area.width, legendBox.width + 2 * padding);
+
+        legend = legendElement.cloneNode(true);
+        legend.setAttribute("transform", `translate(${area.x + padding - legendBox.x},${area.y + padding - legendBox.y})`);
+    }
+
+    const image = document.createElementNS(svgNamespace, "svg");
+    image.setAttribute("viewBox", [area.x, area.y, area.width, area.height].join(" "));
+    image.setAttribute("width", area.width);
+    image.setAttribute("height", area.height);
+
+    // Text is drawn with the font of the page
+    const pageStyle = getComputedStyle(svgElement);
+    image.style.fontFamily = pageStyle.fontFamily;
+    image.style.fontSize = pageStyle.fontSize;
+
+    if (background) {
+        const backgroundRect = document.createElementNS(svgNamespace, "rect");
+        backgroundRect.setAttribute("x", area.x);
+        backgroundRect.setAttribute("y", area.y);
+        backgroundRect.setAttribute("width", area.width);
+        backgroundRect.setAttribute("height", area.height);
+        backgroundRect.setAttribute("style", `fill: ${background}; stroke: none;`);
+        image.append(backgroundRect);
+    }
+    image.append(tree);
+    if (legend) {
+        image.append(legend);
+    }
+
+    const style = document.createElementNS(svgNamespace, "style");
+    style.textContent = usedStyles(image);
+    image.prepend(style);
+
+    return {
+        text: "<?xml version=\"1.0\" encoding=\"UTF-8\"?>\n" + new XMLSerializer().serializeToString(image),
+        width: area.width,
+        height: area.height,
+    };
+}
+
+// Rules of the page stylesheets that apply to some element of "image"
+function usedStyles(image) {
+    const rules = [];
+
+    [...document.styleSheets].forEach(sheet => {
+        let sheetRules;
+        try {
+            sheetRules = [...sheet.cssRules];
+        } catch {
+            return;     // Rules of stylesheets from other origins can not be read
+        }
+
+        sheetRules
+            .filter(rule => rule.selectorText && matchesSome(image, rule.selectorText))
+            .forEach(rule => rules.push(rule.cssText));
+    });
+
+    return rules.join("\n");
+}
+
+function matchesSome(image, selector) {
+    try {
+        return image.querySelector(selector) !== null;
+    } catch {
+        return false;
+    }
+}
+
+// PNG image from an SVG image made by treeToSvg, "scale" times larger; resolves with a Blob
+export function svgToPng({text, width, height}, scale = 1) {
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.ceil(width * scale);
+    canvas.height = Math.ceil(height * scale);
+
+    if (canvas.width > maxCanvasSide || canvas.height > maxCanvasSide ||
+        canvas.width * canvas.height > maxCanvasArea) {
+        return Promise.reject(new Error(`${canvas.width}x${canvas.height} pixels are too many, choose a smaller scale`));
+    }
+
+    return new Promise((resolve, reject) => {
+        const source = new Image();
+
+        source.onload = () => {
+            canvas.getContext("2d")
+                .drawImage(source, 0, 0, canvas.width, canvas.height);
+            canvas.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error("the browser could not create the PNG file"));
+                }
+            }, "image/png");
+        };
+        source.onerror = () => reject(new Error("the browser could not draw the SVG image"));
+
+        source.src = "data:image/svg+xml;charset=utf-8," + encodeURIComponent(text);
+    });
+}
@@ -1,12 +1,113 @@
 import {Tree, createLegend} from "./d3TreeScript.js";
+import {createSyncClient} from "./syncClient.js";
 import data from "../Data/hierarchyData.json" assert {type: "json"};
 
-export function mapFunction() {
+// Draw the food hierarchy with all the controls of main.html. A "hierarchy" given instead (see benchmark.js) is drawn
+// without the session, the deep links and the sync.
+export async function mapFunction({hierarchy = undefined} = {}) {
     const nodeClasses = ["nodeNorm", "nodeLeaf", "nodeColl"];
+    const byId = id => document.getElementById(id);
 
-    createLegend(nodeClasses);
+    const parameters = new URLSearchParams(window.location.search);
+
+    createLegend(byId("groupLegend"), nodeClasses);
+
+    // "?sync" (the page opened by syncServer.js) loads the shared hierarchy from the server, and saves it there
+    const sync = parameters.has("sync") && !hierarchy ? createSyncClient("api/hierarchy") : undefined;
+    const shared = await sync?.load().catch(error => {
+        alert(`The shared hierarchy can not be loaded, so updates will be saved as files: ${error.message}`);
+        return undefined;
+    });
+
+    return Tree(hierarchy ?? shared ?? data, {
+        svg: byId("graph"),
+        minimap: byId("minimap"),
+        legend: byId("groupLegend"),
+        controls: {
+            file: {
+                openButton: byId("openButton"),
+                openInput: byId("openInput"),
+                saveButton: byId("dlButton"),
+                saveFormat: byId("saveFormat"),
+            },
+            edit: {undoButton: byId("undoButton"), redoButton: byId("redoButton")},
+            zoom: {
+                inButton: byId("zoomInButton"),
+                outButton: byId("zoomOutButton"),
+                fitButton: byId("fitButton"),
+                nodeButton: byId("zoomToNodeButton"),
+            },
+            layout: byId("layoutSelect"),
+            order: byId("orderSelect"),
+            export: {select: byId("exportFormat"), button: byId("exportButton")},
+            encoding: {sizeSelect: byId("sizeBy"), colorSelect: byId("colorBy")},
+            image: {
+                region: byId("imageRegion"),
+                format: byId("imageFormat"),
+                scale: byId("imageScale"),
+                legend: byId("imageLegend"),
+                button: byId("imageButton"),
+            },
+            message: byId("messageLine"),
+            validation: {
+                panel: byId("validationItems"),
+                summary: byId("validationSummary"),
+                list: byId("validationList"),
+                repairButton: byId("repairButton"),
+            },
+            selection: {
+                panel: byId("selectionItems"),
+                summary: byId("selectionSummary"),
+                moveButton: byId("selectionMove"),
+                clearButton: byId("selectionClear"),
+            },
+            stats: {
+                title: byId("statsTitle"),
+                list: byId("statsList"),
+                distribution: byId("statsDistribution"),
+            },
+            duplicates: {
+                findButton: byId("duplicateFind"),
+                summary: byId("duplicateSummary"),
+                list: byId("duplicateList"),
+            },
+            search: {
+                input: byId("searchInput"),
+                suggestions: byId("searchSuggestions"),
+                prevButton: byId("searchPrev"),
+                nextButton: byId("searchNext"),
+                counter: byId("searchCount"),
+            },
+            verbs: {
+                summary: byId("verbSummary"),
+                filter: byId("verbFilter"),
+                list: byId("verbList"),
+                modeSelect: byId("verbMode"),
+                matchAllBox: byId("verbMatchAll"),
+                clearButton: byId("verbClear"),
+            },
+            compare: {
+                summary: byId("compareSummary"),
+                list: byId("compareList"),
+                openButton: byId("compareButton"),
+                input: byId("compareInput"),
+                exportButton: byId("compareExport"),
+                closeButton: byId("compareClose"),
+            },
+            changeSet: {
+                summary: byId("changeSetSummary"),
+                list: byId("changeSetList"),
+                exportButton: byId("changeSetExport"),
+                applyButton: byId("changeSetApply"),
+                input: byId("changeSetInput"),
+            },
+        },
+        shortcutScope: document,
+        fileDropTarget: document.body,
+        sessionKey: hierarchy ? undefined : "foodHierarchy.session",
+        linkInUrl: !hierarchy,
+        sync: shared ? sync : undefined,
 
-    Tree(data, {
         children: d => d.Children,
         width: window.innerWidth,
 
@@ -15,4 +116,4 @@ export function mapFunction() {
         nodeLeafClass: nodeClasses[1],
         nodeCollClass: nodeClasses[2],
     });
-}
\ No newline at end of file
+}
@@ -0,0 +1,158 @@
+// Editor shown in the infoBox: name of the node, and Synonyms and Verbs as chips.
+// Chips can be removed (x button or Delete key), added (text field, Enter) and reordered
+// (drag-and-drop, or Alt+Left / Alt+Right on a focused chip).
+// The editor never modifies the data: changes are proposed through "onRename" and "onListChange",
+// which return an error message (string) if the change is rejected.
+
+export function createNodeEditor(container, nodeData, {onRename, onListChange}) {
+    const editor = container.append("xhtml:div")
+        .attr("class", "nodeEditor");
+
+    // Stop events here: the node group below would take them as clicks and drags on the node
+    editor.on("mousedown click dblclick touchstart contextmenu", event => event.stopPropagation());
+
+    // Name field: the rename is applied on Enter or when the field is left
+    const nameField = editor.append("xhtml:label")
+        .attr("class", "editorField")
+        .text("Name");
+    nameField.append("xhtml:input")
+        .attr("type", "text")
+        .property("value", nodeData.Name)
+        .on("keydown", event => {
+            if (event.key === "Enter") {
+                event.target.blur();
+            } else if (event.key === "Escape") {
+                event.target.value = nodeData.Name;
+                event.target.blur();
+            }
+        })
+        .on("change", event => {
+            const newName = event.target.value.trim();
+
+            if (newName === nodeData.Name) {
+                event.target.value = newName;
+                showError("");
+            } else {
+                const error = onRename(newName);
+                showError(error ?? "");
+                if (error) {
+                    event.target.value = nodeData.Name;
+                }
+            }
+        });
+
+    const synonymsField = editor.append("xhtml:div")
+        .attr("class", "editorField");
+    const verbsField = editor.append("xhtml:div")
+        .attr("class", "editorField");
+
+    const errorLine = editor.append("xhtml:div")
+        .attr("class", "editorError");
+
+    drawChips(synonymsField, "Synonyms", "Add synonym");
+    drawChips(verbsField, "Verbs", "Add verb");
+
+    // Draw (or re-draw) the chips of a list field, with the input for a new value
+    function drawChips(field, key, placeholder) {
+        field.selectAll("*").remove();
+        field.append("xhtml:span")
+            .attr("class", "editorFieldName")
+            .text(key);
+
+        const list = nodeData[key];
+        let dragIndex = undefined;
+
+        const chips = field.append("xhtml:div")
+            .attr("class", "chipList")
+            .selectAll(".chip")
+            .data(list)
+            .join("xhtml:span")
+            .attr("class", "chip")
+            .attr("tabindex", 0)
+            .attr("draggable", true)
+            .on("dragstart", event => {
+                dragIndex = chipIndex(event.currentTarget);
+                event.dataTransfer.effectAllowed = "move";
+            })
+            .on("dragover", event => event.preventDefault())
+            .on("drop", event => {
+                event.preventDefault();
+                if (dragIndex !== undefined) {
+                    moveItem(dragIndex, chipIndex(event.currentTarget));
+                    dragIndex = undefined;
+                }
+            })
+            .on("keydown", event => {
+                const i = chipIndex(event.currentTarget);
+
+                if (event.key === "Delete" || event.key === "Backspace") {
+                    propose(list.filter((item, j) => j !== i));
+                } else if (event.altKey && event.key === "ArrowLeft" && i > 0) {
+                    moveItem(i, i - 1);
+                } else if (event.altKey && event.key === "ArrowRight" && i < list.length - 1) {
+                    moveItem(i, i + 1);
+                }
+            });
+
+        chips.append("xhtml:span")
+            .text(d => d);
+        chips.append("xhtml:button")
+            .attr("type", "button")
+            .attr("title", "Remove")
+            .text("×")
+            .on("click", event => {
+                const i = chipIndex(event.currentTarget.parentNode);
+                propose(list.filter((item, j) => j !== i));
+            });
+
+        field.append("xhtml:input")
+            .attr("type", "text")
+            .attr("placeholder", placeholder)
+            .on("keydown", event => {
+                if (event.key === "Enter") {
+                    const value = event.target.value.trim();
+
+                    if (value.length === 0) {
+                        return;
+                    }
+                    if (list.includes(value)) {
+                        showError(`"${value}" is already in ${key}`);
+                        return;
+                    }
+                    propose([...list, value]);
+                }
+            });
+
+        // Position in the list of a chip element
+        function chipIndex(chip) {
+            return chips.nodes().indexOf(chip);
+        }
+
+        // Move the item at position "from" to position "to"
+        function moveItem(from, to) {
+            const newList = [...list];
+            newList.splice(to, 0, ...newList.splice(from, 1));
+            propose(newList, to);
+        }
+
+        // Propose the new list; if accepted, chips are re-drawn (keeping focus on the moved chip, if any)
+        function propose(newList, focusIndex = undefined) {
+            const error = onListChange(key, newList);
+            showError(error ?? "");
+
+            if (!error) {
+                drawChips(field, key, placeholder);
+
+                if (focusIndex !== undefined) {
+                    field.selectAll(".chip").nodes()[focusIndex].focus();
+                } else {
+                    field.select("input").node().focus();
+                }
+            }
+        }
+    }
+
+    function showError(message) {
+        errorLine.text(message);
+    }
+}
@@ -0,0 +1,53 @@
+// Spatial index of the nodes of a drawn tree (d3.quadtree of their positions; screen coordinates: d.y
+// horizontal, d.x vertical), to find the nodes near a point or inside an area without scanning the whole tree.
+
+export function createNodeIndex(nodes) {
+    const quadtree = d3.quadtree(nodes, d => d.y, d => d.x);
+
+    return {
+        // Closest node to (x, y) accepted by "filter", nearer than "radius"; undefined if there is none
+        nearest(x, y, radius, filter = () => true) {
+            let closest = undefined;
+            let best = radius;
+
+            quadtree.visit((quad, x0, y0, x1, y1) => {
+                if (!quad.length) {
+                    for (let leaf = quad; leaf; leaf = leaf.next) {
+                        const d = leaf.data;
+                        const distance = Math.hypot(d.y - x, d.x - y);
+
+                        if (distance < best && filter(d)) {
+                            best = distance;
+                            closest = d;
+                        }
+                    }
+                }
+
+                // Skip the quadrants farther than the best distance found
+                return x0 > x + best || x1 < x - best || y0 > y + best || y1 < y - best;
+            });
+
+            return closest;
+        },
+
+        // Nodes inside the area {x, y, width, height}
+        inArea({x, y, width, height}) {
+            const found = [];
+
+            quadtree.visit((quad, x0, y0, x1, y1) => {
+                if (!quad.length) {
+                    for (let leaf = quad; leaf; leaf = leaf.next) {
+                        const d = leaf.data;
+                        if (d.y >= x && d.y <= x + width && d.x >= y && d.x <= y + height) {
+                            found.push(d);
+                        }
+                    }
+                }
+
+                return x0 > x + width || x1 < x || y0 > y + height || y1 < y;
+            });
+
+            return found;
+        },
+    };
+}
@@ -0,0 +1,188 @@
+// Search box: matches a query against Name and Synonyms of every node in the hierarchy
+
+// Normalize a term for comparison: case and underscores are ignored
+export function normalizeTerm(term) {
+    return term.toLowerCase()
+        .replace(/_/g, " ")
+        .trim();
+}
+
+// Create a flat list of searchable terms, one for the name and one for each synonym of every node
+export function buildSearchIndex(data) {
+    const index = [];
+    const stack = [data];
+
+    while (stack.length > 0) {
+        const node = stack.pop();
+
+        index.push({term: node.Name, normTerm: normalizeTerm(node.Name), isName: true, node: node});
+        node.Synonyms.forEach(syn => {
+            index.push({term: syn, normTerm: normalizeTerm(syn), isName: false, node: node});
+        });
+
+        node.Children.forEach(child => stack.push(child));
+    }
+
+    return index;
+}
+
+// Return the ranked matches for a query, one (the best one) for each node.
+// Rank: exact match, then prefix, then prefix of a word, then substring;
+// with same rank, names come before synonyms and shorter terms before longer ones.
+export function searchHierarchy(index, query, limit = 10) {
+    const normQuery = normalizeTerm(query);
+    if (normQuery.length === 0) {
+        return [];
+    }
+
+    const bestByNode = new Map();
+    index.forEach(entry => {
+        let rank;
+        if (entry.normTerm === normQuery) {
+            rank = 0;
+        } else if (entry.normTerm.startsWith(normQuery)) {
+            rank = 1;
+        } else if (entry.normTerm.includes(" " + normQuery)) {
+            rank = 2;
+        } else if (entry.normTerm.includes(normQuery)) {
+            rank = 3;
+        } else {
+            return;
+        }
+
+        const match = {...entry, rank: rank};
+        const best = bestByNode.get(entry.node);
+        if (!best || compareMatches(match, best) < 0) {
+            bestByNode.set(entry.node, match);
+        }
+    });
+
+    return [...bestByNode.values()]
+        .sort(compareMatches)
+        .slice(0, limit);
+
+    // Internal function used for sorting matches
+    function compareMatches(a, b) {
+        return (a.rank - b.rank) ||
+            (b.isName - a.isName) ||
+            (a.normTerm.length - b.normTerm.length) ||
+            d3.ascending(a.normTerm, b.normTerm) ||
+            d3.ascending(a.node.Name, b.node.Name);
+    }
+}
+
+// Bind the search logic to the given elements.
+// "getData" returns the current hierarchy, "onSelect" is called with the node (data) to show.
+// Aborting "signal" removes the listeners added to the elements.
+export function createSearchBox({input, suggestions, prevButton, nextButton, counter}, {getData, onSelect}, {
+    signal = undefined,
+} = {}) {
+    let index = undefined;
+    let results = [];       // Suggestions currently displayed
+    let activeResult = -1;  // Suggestion highlighted with the keyboard
+    let hits = [];          // Nodes navigable with previous/next
+    let currentHit = -1;
+
+    input.addEventListener("input", () => {
+        if (!index) {
+            index = buildSearchIndex(getData());
+        }
+
+        results = searchHierarchy(index, input.value);
+        activeResult = -1;
+        showSuggestions();
+    }, {signal: signal});
+
+    input.addEventListener("keydown", event => {
+        if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+            event.preventDefault();
+            if (results.length > 0) {
+                const step = event.key === "ArrowDown" ? 1 : -1;
+                activeResult = (activeResult + step + results.length) % results.length;
+                showSuggestions();
+            }
+        } else if (event.key === "Enter") {
+            event.preventDefault();
+            if (results.length > 0) {
+                pickResult(results[Math.max(activeResult, 0)]);
+            } else if (hits.length > 0) {
+                goToHit(currentHit + 1);
+            }
+        } else if (event.key === "Escape") {
+            results = [];
+            showSuggestions();
+        }
+    }, {signal: signal});
+
+    // Close suggestions when the focus leaves the input (delayed, so a click on a suggestion is caught)
+    input.addEventListener("blur", () => {
+        setTimeout(() => {
+            results = [];
+            showSuggestions();
+        }, 150);
+    }, {signal: signal});
+
+    prevButton.addEventListener("click", () => goToHit(currentHit - 1), {signal: signal});
+    nextButton.addEventListener("click", () => goToHit(currentHit + 1), {signal: signal});
+
+    updateNavigation();
+
+    // Draw the suggestion list
+    function showSuggestions() {
+        const items = d3.select(suggestions)
+            .selectAll("li")
+            .data(results)
+            .join("li")
+            .classed("activeSuggestion", (d, i) => i === activeResult)
+            .on("mousedown", (event, d) => {
+                event.preventDefault();     // Keep the focus in the input
+                pickResult(d);
+            });
+
+        items.text(d => d.isName ? d.node.Name : `${d.node.Name} (${d.term.replace(/_/g, " ")})`)
+            .append("span")
+            .attr("class", "suggestionFather")
+            .text(d => " in " + d.node.Father);
+    }
+
+    // Select a suggestion: every node having the same term (as name or synonym) is a hit
+    function pickResult(result) {
+        hits = index.filter(entry => entry.normTerm === result.normTerm)
+            .map(entry => entry.node)
+            .filter((node, i, nodes) => nodes.indexOf(node) === i);
+
+        input.value = result.term.replace(/_/g, " ");
+        results = [];
+        showSuggestions();
+
+        goToHit(hits.indexOf(result.node));
+    }
+
+    // Show the i-th hit (cycling)
+    function goToHit(i) {
+        if (hits.length === 0) {
+            return;
+        }
+
+        currentHit = (i + hits.length) % hits.length;
+        updateNavigation();
+        onSelect(hits[currentHit]);
+    }
+
+    // Update previous/next buttons and counter
+    function updateNavigation() {
+        prevButton.disabled = hits.length < 2;
+        nextButton.disabled = hits.length < 2;
+        counter.textContent = hits.length > 0 ? `${currentHit + 1}/${hits.length}` : "";
+    }
+
+    return {
+        // Called when the hierarchy has been modified: the index will be rebuilt on the next search
+        invalidate() {
+            index = undefined;
+            hits = [];
+            currentHit = -1;
+            updateNavigation();
+        },
+    };
+}
@@ -0,0 +1,30 @@
+// Panel of the nodes selected together (Ctrl/Shift+click on nodes, or Shift+drag around them): how many they are,
+// a button to move them all under another node ("onMove") and one to clear the selection ("onClear").
+// It is hidden when no node is selected. Aborting "signal" removes the listeners added to the elements.
+
+// Maximum number of names in the tooltip of the summary
+const maxNamed = 30;
+
+export function createSelectionPanel({panel, summary, moveButton, clearButton}, {onMove, onClear}, {
+    signal = undefined,
+} = {}) {
+    moveButton.addEventListener("click", onMove, {signal: signal});
+    clearButton.addEventListener("click", onClear, {signal: signal});
+
+    // Show the selected nodes (data)
+    function show(nodes) {
+        panel.hidden = nodes.length === 0;
+
+        summary.textContent = `${nodes.length} node${nodes.length === 1 ? "" : "s"} selected`;
+
+        const names = nodes.slice(0, maxNamed).map(node => node.Name);
+        if (nodes.length > maxNamed) {
+            names.push(`...and ${nodes.length - maxNamed} more`);
+        }
+        summary.title = names.join("\n");
+    }
+
+    return {
+        show: show,
+    };
+}
@@ -0,0 +1,98 @@
+// Session autosaved in the browser storage, so the work survives closing or reloading the tab:
+// the hierarchy being edited, the collapsed nodes and the selected node.
+// Nodes are identified by their path, the list of child positions from the root of the saved hierarchy.
+
+// The session is kept in "storage" under "key". Saves are delayed by "delay" milliseconds, and many requests in
+// that time make a single save; a save still waiting is done when the page is closed, or when "signal" is
+// aborted. "onError" is called if the storage refuses the session (e.g. it is full or disabled).
+export function createSessionStore({
+    key = "foodHierarchy.session",
+    storage = window.localStorage,
+    delay = 500,
+    onError = () => {},
+    signal = undefined,
+} = {}) {
+    let timer = undefined;
+    let pending = undefined;        // Function returning the session to save, if a save is waiting
+
+    window.addEventListener("pagehide", save, {signal: signal});
+    signal?.addEventListener("abort", save);
+
+    function save() {
+        clearTimeout(timer);
+        timer = undefined;
+
+        if (pending) {
+            const getSession = pending;
+            pending = undefined;
+
+            try {
+                storage.setItem(key, JSON.stringify(getSession()));
+            } catch (error) {
+                onError(error);
+            }
+        }
+    }
+
+    return {
+        // Saved session, or undefined if there is none (or it can not be read)
+        load() {
+            try {
+                const text = storage.getItem(key);
+                return text ? JSON.parse(text) : undefined;
+            } catch {
+                return undefined;
+            }
+        },
+
+        // Save the session returned by "getSession" (called when the save takes place)
+        schedule(getSession) {
+            pending = getSession;
+            clearTimeout(timer);
+            timer = setTimeout(save, delay);
+        },
+
+        // Forget the saved session
+        discard() {
+            clearTimeout(timer);
+            timer = undefined;
+            pending = undefined;
+
+            try {
+                storage.removeItem(key);
+            } catch (error) {
+                onError(error);
+            }
+        },
+    };
+}
+
+// Short signature of a hierarchy, to know if a file has changed (FNV-1a hash of its JSON text)
+export function fingerprint(data) {
+    const text = JSON.stringify(data);
+
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+
+    return (hash >>> 0).toString(16).padStart(8, "0");
+}
+
+// Path of every node of the (nested) hierarchy: Map from a node to its list of child positions
+export function nodePaths(data) {
+    const paths = new Map();
+    visit(data, []);
+    return paths;
+
+    function visit(node, path) {
+        paths.set(node, path);
+        node.Children.forEach((child, i) => visit(child, [...path, i]));
+    }
+}
+
+// Node at "path" in the (nested) hierarchy, undefined if there is none
+export function nodeAtPath(data, path) {
+    return path.reduce((node, i) => node?.Children[i], data);
+}
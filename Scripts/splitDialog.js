@@ -0,0 +1,108 @@
+// Dialog to split a node in two: the name of the new sibling, and the synonyms, verbs and children of the node
+// (checkboxes) it takes. "element" is a <dialog> element; the dialog never modifies the data: the split is proposed
+// through "onSplit", which returns an error message (string) if it is rejected.
+// Aborting "signal" removes the listeners added to the element.
+
+// Lists of the node that can be given to the new node, with their labels
+const splitFields = [
+    {key: "synonyms", field: "Synonyms", label: node => node},
+    {key: "verbs", field: "Verbs", label: node => node},
+    {key: "children", field: "Children", label: node => node.Name},
+];
+
+export function createSplitDialog(element, {signal = undefined} = {}) {
+    const dialog = d3.select(element)
+        .attr("class", "splitDialog");
+
+    let current = undefined;    // While open: {node, onSplit}
+
+    // The form is re-built for every node, the listener stays
+    element.addEventListener("submit", event => {
+        event.preventDefault();
+        if (event.submitter?.value === "cancel") {
+            close();
+            return;
+        }
+
+        const chosen = Object.fromEntries(splitFields.map(({key, field}) => [
+            key,
+            dialog.selectAll(`input[name="${key}"]`)
+                .filter(function () {
+                    return this.checked;
+                })
+                .data()
+                .map(([item]) => item),
+        ]));
+        const name = dialog.select("input.splitName").property("value").trim();
+
+        const error = current.onSplit({name: name, ...chosen});
+        if (error) {
+            dialog.select(".splitError").text(error);
+        } else {
+            close();
+        }
+    }, {signal: signal});
+    element.addEventListener("close", () => {
+        current = undefined;
+    }, {signal: signal});
+
+    // Open the dialog for "node" (data); "onSplit" gets {name, synonyms, verbs, children}
+    function open(node, onSplit) {
+        current = {node: node, onSplit: onSplit};
+        dialog.selectAll("*").remove();
+
+        const form = dialog.append("form")
+            .attr("method", "dialog");
+        form.append("h3")
+            .text(`Split "${node.Name}"`);
+        form.append("label")
+            .text("Name of the new node")
+            .append("input")
+            .attr("type", "text")
+            .attr("class", "splitName")
+            .property("required", true);
+        form.append("p")
+            .text("Checked items go to the new node, the others stay:");
+
+        splitFields.filter(({field}) => node[field].length > 0)
+            .forEach(({key, field, label}) => {
+                const fieldset = form.append("fieldset");
+                fieldset.append("legend")
+                    .text(field);
+                fieldset.selectAll("label")
+                    .data(node[field].map(item => [item]))      // Wrapped, so strings can be bound as data
+                    .join("label")
+                    .call(item => item.append("input")
+                        .attr("type", "checkbox")
+                        .attr("name", key))
+                    .append("span")
+                    .text(([item]) => label(item));
+            });
+
+        form.append("div")
+            .attr("class", "splitError");
+
+        const buttons = form.append("div")
+            .attr("class", "splitButtons");
+        buttons.append("button")
+            .attr("value", "split")
+            .text("Split");
+        buttons.append("button")
+            .attr("value", "cancel")
+            .attr("formnovalidate", "")
+            .text("Cancel");
+
+        element.showModal();
+        form.select("input.splitName").node().focus();
+    }
+
+    function close() {
+        element.close();
+        current = undefined;
+    }
+
+    return {
+        open: open,
+        close: close,
+    };
+}
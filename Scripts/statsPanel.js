@@ -0,0 +1,65 @@
+// Panel with the statistics of the subtree of a node (see subtreeStats.js): its size, depth, leaves, distinct verbs
+// and synonyms, and how it is split among the children of the node. Clicking a child calls "onSelect" with it.
+// Aborting "signal" removes the listeners added to the elements.
+
+import {childDistribution, nodeMetrics} from "./subtreeStats.js";
+
+// Maximum number of children listed in the distribution (the others are counted together)
+const maxListed = 12;
+
+export function createStatsPanel({title, list, distribution}, {onSelect}, {
+    signal = undefined,
+} = {}) {
+    // Clicks on the children of the distribution (the list is re-drawn, the listener stays)
+    distribution.addEventListener("click", event => {
+        const item = event.target.closest("li");
+        const d = item && d3.select(item).datum();
+        if (d?.node) {
+            onSelect(d.node);
+        }
+    }, {signal: signal});
+
+    // Show the statistics of "node" (data), from "stats" (made by subtreeStats)
+    function show(node, stats) {
+        const item = stats.get(node);
+        title.textContent = `Subtree of "${node.Name}" (level ${item.level})`;
+
+        d3.select(list)
+            .selectAll("li")
+            .data(Object.entries(nodeMetrics))
+            .join("li")
+            .text(([key, label]) => `${label}: ${item[key]}`);
+
+        const listed = childDistribution(node, stats);
+        const others = listed.splice(maxListed);
+        if (others.length > 0) {
+            listed.push({
+                node: undefined,
+                name: `${others.length} more`,
+                size: d3.sum(others, d => d.size),
+                share: d3.sum(others, d => d.share),
+            });
+        }
+
+        d3.select(distribution)
+            .selectAll("li")
+            .data(listed)
+            .join(enter => {
+                const li = enter.append("li");
+                li.append("span")
+                    .attr("class", "statsBar");
+                li.append("span")
+                    .attr("class", "statsLabel");
+                return li;
+            })
+            .classed("statsLink", d => !!d.node)
+            .call(li => li.select(".statsBar")
+                .style("width", d => `${Math.round(d.share * 100)}%`))
+            .call(li => li.select(".statsLabel")
+                .text(d => `${d.node ? d.node.Name : d.name}: ${d.size} (${Math.round(d.share * 100)}%)`));
+    }
+
+    return {
+        show: show,
+    };
+}
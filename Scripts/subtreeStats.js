@@ -0,0 +1,73 @@
+// Statistics of the subtrees of a hierarchy (nested format), used by the statistics panel and to size or colour
+// the nodes of the tree.
+
+// Metrics of a subtree that nodes can be sized or coloured by
+export const nodeMetrics = {
+    size: "Subtree size",
+    depth: "Subtree depth",
+    leaves: "Leaves",
+    verbs: "Distinct verbs",
+    synonyms: "Distinct synonyms",
+};
+
+// Nodes can also be coloured by the top-level node (child of the root) they are under
+export const categoryKey = "category";
+
+// Statistics of every subtree: Map from a node to {size, depth, leaves, verbs, synonyms, level, category}.
+// "size" counts the nodes of the subtree (the node too), "depth" the levels under the node, "verbs" and "synonyms"
+// the distinct values in the subtree; "level" is the depth of the node in the hierarchy (0 for the root) and
+// "category" its top-level node (undefined for the root).
+export function subtreeStats(data) {
+    const stats = new Map();
+    visit(data, undefined, 0);
+    return stats;
+
+    // Returns the sets of verbs and synonyms of the subtree, to be merged in the ones of the father
+    function visit(node, category, level) {
+        const item = {size: 1, depth: 0, leaves: 0, verbs: 0, synonyms: 0, level: level, category: category};
+        stats.set(node, item);
+
+        const childSets = node.Children.map(child => {
+            const sets = visit(child, category ?? child, level + 1);
+            const childItem = stats.get(child);
+
+            item.size += childItem.size;
+            item.depth = Math.max(item.depth, childItem.depth + 1);
+            item.leaves += childItem.leaves;
+
+            return sets;
+        });
+        if (node.Children.length === 0) {
+            item.leaves = 1;
+        }
+
+        const verbs = mergeSets(childSets.map(sets => sets.verbs), node.Verbs);
+        const synonyms = mergeSets(childSets.map(sets => sets.synonyms), node.Synonyms);
+        item.verbs = verbs.size;
+        item.synonyms = synonyms.size;
+
+        return {verbs: verbs, synonyms: synonyms};
+    }
+}
+
+// Union of "sets" and "values". The largest set is grown with the others (and is changed), so large hierarchies
+// do not copy the values of a subtree at every level.
+function mergeSets(sets, values) {
+    const merged = sets.reduce((largest, set) => set.size > largest.size ? set : largest, new Set());
+
+    sets.filter(set => set !== merged)
+        .forEach(set => set.forEach(value => merged.add(value)));
+    values.forEach(value => merged.add(value));
+
+    return merged;
+}
+
+// How the subtree of "node" is split among its children: list of {node, size, share} (share of the nodes under
+// "node", from 0 to 1), largest first
+export function childDistribution(node, stats) {
+    const total = stats.get(node).size - 1;
+
+    return node.Children
+        .map(child => ({node: child, size: stats.get(child).size, share: total > 0 ? stats.get(child).size / total : 0}))
+        .sort((a, b) => b.size - a.size);
+}
@@ -0,0 +1,46 @@
+// Client of the sync server (see syncServer.js) for the shared hierarchy at "url". It keeps the version of the
+// hierarchy loaded or saved last, so the server rejects a save made on an older version instead of overwriting
+// the edits of someone else.
+
+export function createSyncClient(url) {
+    let version = undefined;    // ETag of the hierarchy loaded or saved last
+
+    // The hierarchy on the server (parsed content), whose version becomes the current one.
+    // Rejects if there is no sync server at "url".
+    async function load() {
+        const response = await fetch(url, {cache: "no-store"});
+        if (!response.ok || !response.headers.get("ETag")) {
+            throw new Error(`No shared hierarchy at "${url}" (${response.status} ${response.statusText})`);
+        }
+
+        const content = await response.json();
+        version = response.headers.get("ETag");
+        return content;
+    }
+
+    // Save "text" (a hierarchy file) on the server. Resolves with true, or with false if the hierarchy on the
+    // server is not the version loaded or saved last (someone else saved it since); rejects on other errors.
+    async function save(text) {
+        const response = await fetch(url, {
+            method: "PUT",
+            headers: {"Content-Type": "application/json; charset=utf-8", "If-Match": version ?? "\"\""},
+            body: text,
+        });
+
+        if (response.status === 412) {
+            return false;
+        }
+        if (!response.ok) {
+            const answer = await response.json().catch(() => ({}));
+            throw new Error(answer.error ?? `The server answered ${response.status} ${response.statusText}`);
+        }
+
+        version = response.headers.get("ETag");
+        return true;
+    }
+
+    return {
+        load: load,
+        save: save,
+    };
+}
@@ -0,0 +1,206 @@
+#!/usr/bin/env node
+// Local server sharing a hierarchy file among the editors of a team (Node.js 20 or later, no other dependency):
+//   node Scripts/syncServer.js [--file Data/hierarchyData.json] [--port 8080] [--host localhost]
+// It serves the editor (http://localhost:8080/ opens main.html?sync, where the editor loads and saves the shared
+// hierarchy; main.html alone does not use the server) and the shared hierarchy at /api/hierarchy:
+//   GET  the hierarchy, in UTF-8, with its version in the ETag header;
+//   PUT  replace it with the body (a hierarchy in nested or flat format). The If-Match header must hold the version
+//        the edits were made on: if someone else saved since, the answer is 412 (Precondition Failed) with the
+//        current version, and nothing is written.
+// The version is a hash of the file, so changes made to the file by hand are seen too.
+
+import {createServer} from "node:http";
+import {createHash} from "node:crypto";
+import {readFile, rename, writeFile} from "node:fs/promises";
+import {extname, join, normalize, resolve, sep} from "node:path";
+import {fileURLToPath} from "node:url";
+import {parseArgs} from "node:util";
+
+import {decodeHierarchyText} from "./fileLoader.js";
+import {detectFormat} from "./hierarchyFormats.js";
+
+const apiPath = "/api/hierarchy";
+const maxBodySize = 20 * 1024 * 1024;
+
+// Folder of the editor (main.html), served as static files
+const appFolder = resolve(fileURLToPath(new URL("..", import.meta.url)));
+
+const contentTypes = {
+    ".html": "text/html; charset=utf-8",
+    ".js": "text/javascript; charset=utf-8",
+    ".css": "text/css; charset=utf-8",
+    ".json": "application/json",
+    ".ico": "image/x-icon",
+    ".png": "image/png",
+    ".svg": "image/svg+xml",
+};
+
+const {values: options} = parseArgs({
+    options: {
+        file: {type: "string", default: join(appFolder, "Data", "hierarchyData.json")},
+        port: {type: "string", default: "8080"},
+        host: {type: "string", default: "localhost"},
+    },
+});
+const hierarchyFile = resolve(options.file);
+
+// Writes are made one at a time, so two saves can not both pass the version check
+let writeQueue = Promise.resolve();
+
+const server = createServer((request, response) => {
+    const {pathname} = new URL(request.url, "http://localhost");
+
+    let answer;
+    if (pathname === "/") {
+        answer = redirect(response, "/main.html?sync");
+    } else if (pathname === apiPath) {
+        answer = hierarchyRequest(request, response);
+    } else {
+        answer = staticRequest(request, response, pathname);
+    }
+    answer.catch(error => {
+        if (!error.status) {
+            console.error(error);
+        }
+
+        // The rest of a body refused before its end is not read: the connection is closed after the answer
+        if (!request.complete) {
+            response.on("finish", () => request.destroy());
+        }
+        if (!response.headersSent) {
+            sendJson(response, error.status ?? 500, {error: error.message});
+        }
+    });
+});
+server.listen(Number(options.port), options.host, () => {
+    console.log(`Editor at http://${options.host}:${options.port}/, sharing ${hierarchyFile}`);
+});
+
+async function hierarchyRequest(request, response) {
+    if (request.method === "GET" || request.method === "HEAD") {
+        const buffer = await readFile(hierarchyFile);
+        response.writeHead(200, {
+            "Content-Type": "application/json; charset=utf-8",
+            "Cache-Control": "no-store",
+            "ETag": version(buffer),
+        });
+        response.end(request.method === "HEAD" ? undefined : decodeHierarchyText(buffer));
+        return;
+    }
+
+    if (request.method !== "PUT") {
+        response.writeHead(405, {"Allow": "GET, HEAD, PUT"});
+        response.end();
+        return;
+    }
+
+    const expected = request.headers["if-match"];
+    if (!expected) {
+        sendJson(response, 428, {error: "The version of the edited hierarchy is missing (If-Match header)"});
+        return;
+    }
+
+    const text = await readBody(request);
+    try {
+        detectFormat(JSON.parse(text));
+    } catch (error) {
+        sendJson(response, 400, {error: `This is not a hierarchy: ${error.message}`});
+        return;
+    }
+
+    const write = writeQueue.then(async () => {
+        const current = version(await readFile(hierarchyFile));
+        if (current !== expected) {
+            sendJson(response, 412, {error: "The hierarchy was saved by someone else since it was loaded"}, current);
+            return;
+        }
+
+        // Written in a new file first: the shared file is never left half written
+        const buffer = Buffer.from(text, "utf-8");
+        const temporary = `${hierarchyFile}.${process.pid}.tmp`;
+        await writeFile(temporary, buffer);
+        await rename(temporary, hierarchyFile);
+
+        console.log(`${new Date().toISOString()} saved by ${request.socket.remoteAddress}`);
+        sendJson(response, 200, {saved: true}, version(buffer));
+    });
+    writeQueue = write.catch(() => {});
+    await write;
+}
+
+// The editor in sync mode (see mapper.js)
+async function redirect(response, location) {
+    response.writeHead(302, {"Location": location});
+    response.end();
+}
+
+// Files of the editor (GET only); hidden files and files outside its folder are not served
+async function staticRequest(request, response, pathname) {
+    if (request.method !== "GET" && request.method !== "HEAD") {
+        response.writeHead(405, {"Allow": "GET, HEAD"});
+        response.end();
+        return;
+    }
+
+    let relative;
+    try {
+        relative = normalize(decodeURIComponent(pathname));
+    } catch {
+        sendJson(response, 400, {error: "Malformed path"});
+        return;
+    }
+    const file = join(appFolder, relative);
+    if (!file.startsWith(appFolder + sep) || relative.split(/[\\/]/).some(part => part.startsWith("."))) {
+        sendJson(response, 404, {error: "Not found"});
+        return;
+    }
+
+    let buffer;
+    try {
+        buffer = await readFile(file);
+    } catch {
+        sendJson(response, 404, {error: "Not found"});
+        return;
+    }
+
+    response.writeHead(200, {"Content-Type": contentTypes[extname(file).toLowerCase()] ?? "application/octet-stream"});
+    response.end(request.method === "HEAD" ? undefined : buffer);
+}
+
+// Error answered with the HTTP "status" (instead of 500)
+function httpError(status, message) {
+    return Object.assign(new Error(message), {status: status});
+}
+
+// Version of the content of the hierarchy file, as an ETag
+function version(buffer) {
+    return "\"" + createHash("sha256").update(buffer).digest("hex").slice(0, 16) + "\"";
+}
+
+function readBody(request) {
+    return new Promise((resolveBody, rejectBody) => {
+        const chunks = [];
+        let size = 0;
+
+        request.on("data", chunk => {
+            size += chunk.length;
+            if (size > maxBodySize) {
+                request.pause();
+                rejectBody(httpError(413, "The hierarchy is too large"));
+            } else {
+                chunks.push(chunk);
+            }
+        });
+        request.on("end", () => resolveBody(Buffer.concat(chunks).toString("utf-8")));
+        request.on("error", rejectBody);
+    });
+}
+
+function sendJson(response, status, body, etag = undefined) {
+    response.writeHead(status, {
+        "Content-Type": "application/json; charset=utf-8",
+        "Cache-Control": "no-store",
+        ...(etag ? {"ETag": etag} : {}),
+    });
+    response.end(JSON.stringify(body));
+}
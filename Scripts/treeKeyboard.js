@@ -0,0 +1,37 @@
+// Keyboard navigation between the drawn nodes, as in the WAI-ARIA tree view pattern:
+// Up/Down move to the previous/next visible node, Home/End to the first/last one,
+// Right opens a collapsed node or moves to its first child, Left closes an open node or moves to its father.
+
+// What "key" does on node "d" of the d3 hierarchy "root": {focus: node} to move the focus, {toggle: node} to open
+// or close a node, undefined if the key is not a navigation key or there is nowhere to go.
+export function navigationAction(root, d, key) {
+    // Visible nodes, in the order they are drawn (collapsed nodes have no "children")
+    const visible = [];
+    root.eachBefore(item => visible.push(item));
+    const position = visible.indexOf(d);
+
+    switch (key) {
+        case "ArrowDown":
+            return focus(visible[position + 1]);
+        case "ArrowUp":
+            return focus(visible[position - 1]);
+        case "Home":
+            return focus(visible[0]);
+        case "End":
+            return focus(visible[visible.length - 1]);
+        case "ArrowRight":
+            if (d._children && !d.children) {
+                return {toggle: d};
+            }
+            return focus(d.children?.[0]);
+        case "ArrowLeft":
+            if (d.children) {
+                return {toggle: d};
+            }
+            return focus(d.parent);
+    }
+
+    function focus(node) {
+        return node ? {focus: node} : undefined;
+    }
+}
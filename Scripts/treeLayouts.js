@@ -0,0 +1,99 @@
+// Layouts available for the tree.
+// Every layout places the nodes and then converts their positions so that, as in the original horizontal tree,
+// "d.y" is the horizontal and "d.x" the vertical coordinate on the screen: the drawing code, the drop-target
+// search of drag-and-drop and the infoBox placement work the same way in every layout.
+
+export const layoutNames = {
+    horizontal: "Horizontal tree",
+    vertical: "Top-down tree",
+    cluster: "Dendrogram",
+    radial: "Radial tree",
+};
+
+// Create the layout "name". "tree" and "diagonal" are used by the horizontal layout (Tree options).
+// Returns {place(root, dx, dy), diagonal, labelRotation(d), margins}:
+// - place computes the positions, with "dx" the space between siblings and "dy" the space between levels;
+// - diagonal draws a link between two positions;
+// - labelRotation gives the angle (degrees) of the label of a node;
+// - margins is the space around the nodes to keep in the view, for labels.
+export function createLayout(name, {
+    tree = d3.tree,
+    diagonal = d3.linkHorizontal().x(d => d.y).y(d => d.x),
+} = {}) {
+    switch (name) {
+        case "vertical":
+            return {
+                place(root, dx, dy) {
+                    tree().nodeSize([dx, dy])(root);
+
+                    // Depth grows downwards
+                    root.each(d => {
+                        [d.x, d.y] = [d.y, d.x];
+                    });
+                },
+                diagonal: d3.linkVertical().x(d => d.y).y(d => d.x),
+                labelRotation: () => 90,
+                margins: {top: 60, right: 20, bottom: 120, left: 20},
+            };
+
+        case "cluster":
+            return {
+                place(root, dx, dy) {
+                    d3.cluster().nodeSize([dx, dy])(root);
+                },
+                diagonal: d3.linkHorizontal().x(d => d.y).y(d => d.x),
+                labelRotation: () => 0,
+                margins: {top: 5, right: 120, bottom: 5, left: 40},
+            };
+
+        case "radial":
+            return {
+                place(root, dx, dy) {
+                    // Radius large enough for "dx" space between leaves on the outer circle
+                    const leaves = root.leaves().length;
+                    const radius = Math.max(dy * root.height, leaves * dx / (2 * Math.PI));
+
+                    d3.tree()
+                        .size([2 * Math.PI, radius])
+                        .separation((a, b) => (a.parent === b.parent ? 1 : 2) / a.depth)(root);
+
+                    // From angle (clockwise, from the top) and radius to screen coordinates
+                    root.each(d => {
+                        const [angle, r] = [d.x, d.y];
+                        d.angle = angle;
+                        d.y = r * Math.sin(angle);
+                        d.x = -r * Math.cos(angle);
+                    });
+                },
+                diagonal: d3.linkRadial()
+                    .angle(d => Math.atan2(d.y, -d.x))
+                    .radius(d => Math.hypot(d.x, d.y)),
+                labelRotation: d => d.depth === 0 ? 0 : d.angle * 180 / Math.PI - 90,
+                margins: {top: 120, right: 120, bottom: 120, left: 120},
+            };
+
+        default:
+            return {
+                place(root, dx, dy) {
+                    tree().nodeSize([dx, dy])(root);
+                },
+                diagonal: diagonal,
+                labelRotation: () => 0,
+                margins: {top: 5, right: 40, bottom: 5, left: 40},
+            };
+    }
+}
+
+// Placement of the label of a node: leaves have it outside (after the node), internal nodes inside (before it).
+// Labels that would be upside down are turned.
+export function labelPlacement(d, rotation, labelSpacing) {
+    const normalized = ((rotation % 360) + 360) % 360;
+    const turned = normalized > 90 && normalized < 270;
+    const side = (d._children ? -1 : 1) * (turned ? -1 : 1);
+
+    return {
+        transform: rotation === 0 ? null : `rotate(${turned ? rotation + 180 : rotation})`,
+        x: side * labelSpacing,
+        anchor: side > 0 ? "start" : "end",
+    };
+}
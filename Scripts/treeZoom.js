@@ -0,0 +1,211 @@
+// Zoom and pan of the tree, plus a minimap of the whole tree with the current viewport.
+// The zoom transform is applied to "gZoom", the group holding links and nodes, so positions of nodes
+// ({x: d.y, y: d.x}, as drawn in the tree) are in the coordinates of "gZoom".
+// Wheel zooms while Ctrl (or Cmd) is held, which is also how browsers report the pinch gesture;
+// the plain wheel still scrolls the page. Dragging the background pans (nodes have their own drag); with Shift held
+// the drag is left to the tree (lasso selection).
+// "onViewChange" is called (at most once per animation frame) when zoom, pan, scroll or resize change the visible
+// part of the tree. Aborting "signal" removes zoom, minimap and the listeners added to the page.
+
+const minimapPadding = 10;
+
+export function createTreeZoom(svgElement, gZoomElement, minimapElement, {
+    scaleExtent = [0.1, 8],
+    transitionDuration = 500,
+    onViewChange = undefined,
+    signal = undefined,
+} = {}) {
+    const svg = d3.select(svgElement);
+    const gZoom = d3.select(gZoomElement);
+    const minimap = d3.select(minimapElement);
+    let viewFrame = undefined;
+
+    const zoom = d3.zoom()
+        .scaleExtent(scaleExtent)
+        .filter(event => {
+            if (event.type === "wheel") {
+                return event.ctrlKey || event.metaKey;
+            }
+            return !event.button && !event.ctrlKey && !event.shiftKey;
+        })
+        .on("zoom", event => {
+            gZoom.attr("transform", event.transform);
+            viewMoved();
+        });
+
+    svg.call(zoom)
+        .on("dblclick.zoom", null);     // Double click is for collapsing nodes
+
+    // Minimap: links of the tree (a single path, for large trees), and a rectangle for the visible area
+    const minimapLinks = minimap.append("path")
+        .attr("class", "minimapLinks");
+    const minimapViewport = minimap.append("rect")
+        .attr("class", "minimapViewport");
+
+    // Click or drag on the minimap: center the view on that point
+    minimap.call(d3.drag()
+        .on("start drag", event => {
+            const [x, y] = d3.pointer(event.sourceEvent, minimapElement);
+            centerOn(x, y, d3.zoomTransform(svgElement).k, 0);
+        }));
+
+    window.addEventListener("scroll", viewMoved, {signal: signal});
+    window.addEventListener("resize", viewMoved, {signal: signal});
+
+    signal?.addEventListener("abort", () => {
+        cancelAnimationFrame(viewFrame);
+        svg.interrupt()
+            .on(".zoom", null);
+        minimap.on(".drag", null);
+        minimapLinks.remove();
+        minimapViewport.remove();
+    });
+
+    // Draw the minimap for the current layout ("root" is the d3 hierarchy)
+    function updateMinimap(root) {
+        const nodes = root.descendants();
+        const links = root.links();
+
+        const [x0, x1] = d3.extent(nodes, d => d.y);
+        const [y0, y1] = d3.extent(nodes, d => d.x);
+        minimap.attr("viewBox", [
+            x0 - minimapPadding,
+            y0 - minimapPadding,
+            x1 - x0 + 2 * minimapPadding,
+            y1 - y0 + 2 * minimapPadding,
+        ]);
+
+        minimapLinks.attr("d", links
+            .map(d => `M${d.source.y},${d.source.x}L${d.target.y},${d.target.x}`)
+            .join(""));
+
+        updateViewport();
+    }
+
+    // The visible area has changed
+    function viewMoved() {
+        updateViewport();
+
+        if (onViewChange && viewFrame === undefined) {
+            viewFrame = requestAnimationFrame(() => {
+                viewFrame = undefined;
+                onViewChange();
+            });
+        }
+    }
+
+    // Part of the tree visible in the window ({x, y, width, height}, in the coordinates of "gZoom");
+    // undefined if the tree is not displayed
+    function visibleArea() {
+        const matrix = gZoomElement.getScreenCTM();
+        if (!matrix) {
+            return undefined;
+        }
+
+        const inverse = matrix.inverse();
+        const topLeft = new DOMPoint(0, 0).matrixTransform(inverse);
+        const bottomRight = new DOMPoint(window.innerWidth, window.innerHeight).matrixTransform(inverse);
+
+        return {
+            x: topLeft.x,
+            y: topLeft.y,
+            width: bottomRight.x - topLeft.x,
+            height: bottomRight.y - topLeft.y,
+        };
+    }
+
+    // Show in the minimap the part of the tree visible in the window
+    function updateViewport() {
+        const area = visibleArea();
+        if (!area) {
+            return;
+        }
+
+        minimapViewport
+            .attr("x", area.x)
+            .attr("y", area.y)
+            .attr("width", area.width)
+            .attr("height", area.height);
+    }
+
+    // Center of the window, in the coordinates of the main SVG
+    function windowCenter() {
+        return new DOMPoint(window.innerWidth / 2, window.innerHeight / 2)
+            .matrixTransform(svgElement.getScreenCTM().inverse());
+    }
+
+    // Move the view so the point (x, y) of the tree is in the center of the window, with scale k
+    function centerOn(x, y, k, duration = transitionDuration) {
+        const center = windowCenter();
+
+        const transform = d3.zoomIdentity
+            .translate(center.x - x * k, center.y - y * k)
+            .scale(k);
+
+        if (duration > 0) {
+            svg.transition()
+                .duration(duration)
+                .call(zoom.transform, transform);
+        } else {
+            svg.call(zoom.transform, transform);
+        }
+    }
+
+    // Show the whole tree in the window
+    function fit() {
+        window.scrollTo(0, 0);
+
+        const box = gZoomElement.getBBox();
+        if (box.width === 0 || box.height === 0) {
+            return;
+        }
+
+        // Window size, in the coordinates of the main SVG
+        const inverse = svgElement.getScreenCTM().inverse();
+        const topLeft = new DOMPoint(0, 0).matrixTransform(inverse);
+        const bottomRight = new DOMPoint(window.innerWidth, window.innerHeight).matrixTransform(inverse);
+        const visibleWidth = bottomRight.x - topLeft.x;
+        const visibleHeight = bottomRight.y - topLeft.y;
+
+        const k = Math.min(visibleWidth / box.width, visibleHeight / box.height, scaleExtent[1]);
+        const transform = d3.zoomIdentity
+            .translate(
+                topLeft.x + (visibleWidth - box.width * k) / 2 - box.x * k,
+                topLeft.y + (visibleHeight - box.height * k) / 2 - box.y * k)
+            .scale(k);
+
+        svg.transition()
+            .duration(transitionDuration)
+            .call(zoom.transform, transform);
+    }
+
+    return {
+        updateMinimap: updateMinimap,
+        updateViewport: updateViewport,
+        visibleArea: visibleArea,
+        centerOn: centerOn,
+        fit: fit,
+
+        // Zoom in (factor > 1) or out (factor < 1) around the center of the window
+        scaleBy(factor) {
+            const center = windowCenter();
+
+            svg.transition()
+                .duration(transitionDuration / 2)
+                .call(zoom.scaleBy, factor, [center.x, center.y]);
+        },
+
+        // Move the tree by (x, y), in the coordinates of "gZoom", at once (e.g. while dragging a node to an edge)
+        panBy(x, y) {
+            svg.call(zoom.translateBy, x, y);
+        },
+
+        // Remove zoom and pan
+        reset() {
+            svg.call(zoom.transform, d3.zoomIdentity);
+        },
+
+        // Current scale
+        scale: () => d3.zoomTransform(svgElement).k,
+    };
+}
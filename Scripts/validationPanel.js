@@ -0,0 +1,47 @@
+// Panel listing the issues found by validateHierarchy. It is hidden when there are no issues.
+// Clicking an issue calls "onSelect" with its node; the repair button calls "onRepair".
+// Aborting "signal" removes the listeners added to the elements.
+
+import {REPAIRABLE_KINDS} from "./hierarchyValidator.js";
+
+// Maximum number of issues listed (the summary always counts all of them)
+const maxListed = 100;
+
+export function createValidationPanel({panel, summary, list, repairButton}, {onSelect, onRepair}, {
+    signal = undefined,
+} = {}) {
+    repairButton.addEventListener("click", onRepair, {signal: signal});
+
+    function show(issues) {
+        panel.hidden = issues.length === 0;
+
+        const kinds = d3.rollups(issues, v => v.length, d => d.kind)
+            .map(([kind, count]) => `${count} ${kind}`)
+            .join(", ");
+        summary.textContent = `${issues.length} problem${issues.length === 1 ? "" : "s"} found (${kinds})`;
+
+        repairButton.disabled = !issues.some(issue => REPAIRABLE_KINDS.includes(issue.kind));
+
+        const listed = issues.slice(0, maxListed);
+        if (issues.length > maxListed) {
+            listed.push({path: [], message: `...and ${issues.length - maxListed} more`});
+        }
+
+        d3.select(list)
+            .selectAll("li")
+            .data(listed)
+            .join("li")
+            .attr("title", d => d.path.join(" > "))
+            .classed("issueLink", d => !!d.node)
+            .text(d => (d.path.length > 0 ? d.path[d.path.length - 1] + ": " : "") + d.message)
+            .on("click", (event, d) => {
+                if (d.node) {
+                    onSelect(d.node);
+                }
+            });
+    }
+
+    return {
+        show: show,
+    };
+}
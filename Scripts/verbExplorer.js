@@ -0,0 +1,155 @@
+// Verb explorer: index of the Verbs of every node, and a panel to choose the verbs to show in the tree.
+// A verb is "inherited" when an internal node has it (so its whole subtree can be cooked that way), and
+// "leaves only" when only leaves have it: the latter may point to annotations missing on the upper levels.
+
+// Count the nodes of every verb: returns a list of {verb, count, internal, leaves}, most used verbs first
+export function buildVerbIndex(data) {
+    const byVerb = new Map();
+    const stack = [data];
+
+    while (stack.length > 0) {
+        const node = stack.pop();
+        const isLeaf = node.Children.length === 0;
+
+        new Set(node.Verbs).forEach(verb => {
+            if (!byVerb.has(verb)) {
+                byVerb.set(verb, {verb: verb, count: 0, internal: 0, leaves: 0});
+            }
+
+            const entry = byVerb.get(verb);
+            entry.count += 1;
+            if (isLeaf) {
+                entry.leaves += 1;
+            } else {
+                entry.internal += 1;
+            }
+        });
+
+        node.Children.forEach(child => stack.push(child));
+    }
+
+    return [...byVerb.values()]
+        .sort((a, b) => (b.count - a.count) || d3.ascending(a.verb, b.verb));
+}
+
+// Nodes (data) having the selected verbs (any of them, or all of them if "matchAll"), and nodes whose subtree
+// holds at least one of those: returns {matches, paths}, two Sets; "paths" also contains the matches
+export function matchVerbs(data, verbs, matchAll = false) {
+    const matches = new Set();
+    const paths = new Set();
+
+    if (verbs.size > 0) {
+        visit(data);
+    }
+
+    return {matches: matches, paths: paths};
+
+    // Internal recursive function: true if the subtree of "node" holds a match
+    function visit(node) {
+        const selected = [...verbs].filter(verb => node.Verbs.includes(verb));
+        const isMatch = matchAll ? selected.length === verbs.size : selected.length > 0;
+
+        let onPath = isMatch;
+        node.Children.forEach(child => {
+            onPath = visit(child) || onPath;
+        });
+
+        if (isMatch) {
+            matches.add(node);
+        }
+        if (onPath) {
+            paths.add(node);
+        }
+        return onPath;
+    }
+}
+
+// Bind the verb panel to the given elements.
+// "getData" returns the current hierarchy; "onChange" is called when the selected verbs or the mode change.
+// Returns {refresh(), selection()}: "refresh" must be called when the hierarchy changes.
+// Aborting "signal" removes the listeners added to the elements.
+export function createVerbExplorer({summary, filter, list, modeSelect, matchAllBox, clearButton}, {getData, onChange}, {
+    signal = undefined,
+} = {}) {
+    let index = [];
+    const selected = new Set();
+
+    filter.addEventListener("input", drawList, {signal: signal});
+    modeSelect.addEventListener("change", onChange, {signal: signal});
+    matchAllBox.addEventListener("change", onChange, {signal: signal});
+    clearButton.addEventListener("click", () => {
+        selected.clear();
+        drawList();
+        onChange();
+    }, {signal: signal});
+
+    // Re-create the index from the current hierarchy
+    function refresh() {
+        index = buildVerbIndex(getData());
+
+        // Verbs not used anymore can not stay selected
+        const verbs = new Set(index.map(entry => entry.verb));
+        const removed = [...selected].filter(verb => !verbs.has(verb));
+        removed.forEach(verb => selected.delete(verb));
+
+        const leavesOnly = index.filter(entry => entry.internal === 0).length;
+        summary.textContent = `${index.length} verbs: ${index.length - leavesOnly} inherited, ${leavesOnly} only on leaves`;
+
+        drawList();
+        if (removed.length > 0) {
+            onChange();
+        }
+    }
+
+    // List the verbs matching the filter; selected verbs are always listed first
+    function drawList() {
+        const query = filter.value.trim().toLowerCase();
+        const listed = index
+            .filter(entry => selected.has(entry.verb) || entry.verb.toLowerCase().includes(query))
+            .sort((a, b) => selected.has(b.verb) - selected.has(a.verb));
+
+        const items = d3.select(list)
+            .selectAll("li")
+            .data(listed, d => d.verb)
+            .join(enter => {
+                const item = enter.append("li");
+                const label = item.append("label");
+                label.append("input")
+                    .attr("type", "checkbox")
+                    .on("change", (event, d) => {
+                        if (event.target.checked) {
+                            selected.add(d.verb);
+                        } else {
+                            selected.delete(d.verb);
+                        }
+                        onChange();
+                    });
+                label.append("span")
+                    .attr("class", "verbName");
+                label.append("span")
+                    .attr("class", "verbCount");
+                return item;
+            })
+            .order()
+            .attr("title", d => `${d.count} nodes: ${d.internal} internal, ${d.leaves} leaves`)
+            .classed("leavesOnly", d => d.internal === 0);
+
+        items.select("input")
+            .property("checked", d => selected.has(d.verb));
+        items.select(".verbName")
+            .text(d => d.verb);
+        items.select(".verbCount")
+            .text(d => d.internal === 0 ? `${d.count}, leaves only` : d.count);
+    }
+
+    return {
+        refresh: refresh,
+
+        // Selected verbs and how to show them in the tree
+        selection: () => ({
+            verbs: new Set(selected),
+            mode: modeSelect.value,
+            matchAll: matchAllBox.checked,
+        }),
+    };
+}
@@ -0,0 +1,75 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+
+import {readChangeSet, replayChangeSet, serializeChangeSet} from "../Scripts/changeSet.js";
+import {nodeAt, sampleHierarchy} from "./sampleHierarchy.js";
+
+describe("change-set files", () => {
+    it("read back the changes written", () => {
+        const changes = [{op: "rename", node: ["object", "beverage", "wine"], name: "vino"}];
+
+        assert.deepEqual(readChangeSet(JSON.parse(serializeChangeSet(changes, "1234"))),
+            {base: "1234", changes: changes});
+        assert.throws(() => readChangeSet(sampleHierarchy()), /not a change-set file/);
+    });
+});
+
+describe("replayChangeSet", () => {
+    const changes = [
+        {op: "rename", node: ["object", "beverage", "wine"], name: "vino"},
+        {op: "move", node: ["object", "beverage", "beer"], father: ["object", "food"]},
+    ];
+
+    it("returns one operation making the changes, leaving the hierarchy unchanged", () => {
+        const data = sampleHierarchy();
+
+        const {operation, applied, conflicts} = replayChangeSet(data, changes);
+
+        assert.deepEqual(data, sampleHierarchy());
+        assert.deepEqual(applied, ["Rename \"wine\" to \"vino\"", "Move \"beer\" under \"food\""]);
+        assert.deepEqual(conflicts, []);
+        operation.apply();
+        assert.equal(nodeAt(data, ["object", "beverage", "vino"]).Synonyms.length, 2);
+        assert.deepEqual(nodeAt(data, ["object", "food", "beer"]).Hypers, ["food", "object"]);
+    });
+
+    it("skips the changes already made", () => {
+        const data = sampleHierarchy();
+        const made = [
+            {op: "rename", node: ["object", "beverage", "wine"], name: "vino"},
+            {op: "list", node: ["object", "beverage", "beer"], field: "Verbs", from: [], to: ["pour"]},
+            {op: "move", node: ["object", "beverage", "beer"], father: ["object", "food"], index: 0},
+            {op: "add", father: ["object", "food", "herb"], name: "basil", index: 1},
+            {op: "delete", node: ["object", "food", "vegetable", "cabbage"], promoteChildren: false},
+            {op: "merge", node: ["object", "food", "herb", "legume"], into: ["object", "food", "vegetable", "legume"]},
+        ];
+        const first = replayChangeSet(data, made);
+        assert.equal(first.applied.length, made.length);
+        first.operation.apply();
+        const edited = structuredClone(data);
+
+        const {operation, applied, conflicts} = replayChangeSet(data, made);
+
+        assert.equal(operation, undefined);
+        assert.deepEqual(applied, []);
+        assert.deepEqual(conflicts, []);
+        assert.deepEqual(data, edited);
+    });
+
+    it("skips every change of a change-set already applied", () => {
+        const data = sampleHierarchy();
+        replayChangeSet(data, changes).operation.apply();
+
+        assert.deepEqual(replayChangeSet(data, changes).conflicts, []);
+    });
+
+    it("reports the changes whose nodes are gone as conflicts", () => {
+        const data = sampleHierarchy();
+        nodeAt(data, ["object", "beverage", "wine"]).Name = "cider";
+
+        const {applied, conflicts} = replayChangeSet(data, changes);
+
+        assert.deepEqual(applied, ["Move \"beer\" under \"food\""]);
+        assert.deepEqual(conflicts, [{change: changes[0], message: "There is no node \"object > beverage > wine\""}]);
+    });
+});
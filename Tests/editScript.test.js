@@ -0,0 +1,73 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+
+import {applyEditScript, parseEditScript} from "../Scripts/editScript.js";
+import {nodeAt, sampleHierarchy} from "./sampleHierarchy.js";
+
+describe("parseEditScript", () => {
+    it("reads move commands, skipping empty lines and comments", () => {
+        const commands = parseEditScript("# Drinks\n\nmove wine under food\r\n  MOVE beer Under wine  \n");
+
+        assert.deepEqual(commands, [
+            {line: 3, action: "move", node: "wine", father: "food"},
+            {line: 4, action: "move", node: "beer", father: "wine"},
+        ]);
+    });
+
+    it("names the line of an unknown command", () => {
+        assert.throws(() => parseEditScript("move wine under food\ndelete beer"), /^Error: Line 2: unknown command/);
+    });
+});
+
+describe("applyEditScript", () => {
+    it("moves a node, updating its father and the hypers of its subtree", () => {
+        const data = sampleHierarchy();
+
+        const labels = applyEditScript(data, parseEditScript("move vegetable under beverage"));
+
+        assert.deepEqual(labels, ["Move \"vegetable\" under \"beverage\""]);
+        const vegetable = nodeAt(data, ["object", "beverage", "vegetable"]);
+        assert.equal(vegetable.Father, "beverage");
+        assert.deepEqual(vegetable.Hypers, ["beverage", "object"]);
+        assert.deepEqual(vegetable.Children[0].Hypers, ["vegetable", "beverage", "object"]);
+        assert.deepEqual(nodeAt(data, ["object", "food"]).Children.map(child => child.Name), ["herb"]);
+    });
+
+    it("leaves a node already under its new father where it is", () => {
+        const data = sampleHierarchy();
+
+        assert.deepEqual(applyEditScript(data, parseEditScript("move beer under beverage")), []);
+        assert.deepEqual(data, sampleHierarchy());
+    });
+
+    it("rejects an ambiguous name, and accepts its path", () => {
+        const data = sampleHierarchy();
+
+        assert.throws(() => applyEditScript(data, parseEditScript("move legume under beverage")),
+            {message: "Line 1: \"legume\" is the name of 2 nodes, use its path " +
+                "(object/food/herb/legume or object/food/vegetable/legume)"});
+        assert.deepEqual(data, sampleHierarchy());
+
+        applyEditScript(data, parseEditScript("move object/food/herb/legume under beverage"));
+        assert.equal(nodeAt(data, ["object", "beverage", "legume"]).Father, "beverage");
+        assert.deepEqual(nodeAt(data, ["object", "food", "herb"]).Children, []);
+    });
+
+    it("rejects moving a node under itself or under its subtree", () => {
+        const data = sampleHierarchy();
+
+        assert.throws(() => applyEditScript(data, parseEditScript("move food under food")),
+            /^Error: Line 1: "food" can not be moved under itself/);
+        assert.throws(() => applyEditScript(data, parseEditScript("move food under cabbage")),
+            /^Error: Line 1: "food" can not be moved under itself/);
+        assert.deepEqual(data, sampleHierarchy());
+    });
+
+    it("reverts the moves already made when a command fails", () => {
+        const data = sampleHierarchy();
+        const commands = parseEditScript("move wine under food\nmove cabbage under wine\nmove beer under tea");
+
+        assert.throws(() => applyEditScript(data, commands), /^Error: Line 3: no node named "tea"/);
+        assert.deepEqual(data, sampleHierarchy());
+    });
+});
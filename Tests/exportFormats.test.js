@@ -0,0 +1,24 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+
+import {toCSV, toGraphML, toTurtle} from "../Scripts/exportFormats.js";
+import {sampleHierarchy} from "./sampleHierarchy.js";
+
+// "wine" has the synonyms "vino" and "wine", its own name
+describe("exports", () => {
+    it("write every synonym in CSV", () => {
+        const lines = toCSV(sampleHierarchy()).split("\r\n");
+
+        assert.equal(lines[0], "\uFEFFname,father,depth,synonyms,verbs");
+        assert.ok(lines.includes("wine,beverage,2,vino; wine,pour"));
+    });
+
+    it("write every synonym in GraphML", () => {
+        assert.match(toGraphML(sampleHierarchy()),
+            /<data key="name">wine<\/data>\n {6}<data key="synonyms">vino; wine<\/data>/);
+    });
+
+    it("write the synonyms other than the name as SKOS alternative labels", () => {
+        assert.match(toTurtle(sampleHierarchy()), /skos:prefLabel "wine"@en ;\n {4}skos:altLabel "vino"@en ;/);
+    });
+});
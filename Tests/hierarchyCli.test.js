@@ -0,0 +1,100 @@
+import {after, before, describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {execFile} from "node:child_process";
+import {mkdtemp, readFile, rm, writeFile} from "node:fs/promises";
+import {tmpdir} from "node:os";
+import {join} from "node:path";
+import {fileURLToPath} from "node:url";
+
+import {nestedToFlat, serializeFlat, serializeNested} from "../Scripts/hierarchyFormats.js";
+import {nodeAt, sampleHierarchy} from "./sampleHierarchy.js";
+
+const cli = fileURLToPath(new URL("../Scripts/hierarchyCli.js", import.meta.url));
+
+// Run the tool with "args": resolves with {code, stdout, stderr}
+function run(...args) {
+    return new Promise(resolve => {
+        execFile(process.execPath, [cli, ...args], (error, stdout, stderr) => {
+            resolve({code: error ? error.code : 0, stdout: stdout, stderr: stderr});
+        });
+    });
+}
+
+describe("hierarchyCli", () => {
+    let folder;
+    let valid;          // Nested file without problems
+    let flat;           // Same hierarchy in flat format
+    let duplicates;     // Nested file with two nodes named "legume"
+
+    before(async () => {
+        folder = await mkdtemp(join(tmpdir(), "hierarchyCli-"));
+
+        const data = sampleHierarchy();
+        nodeAt(data, ["object", "food", "herb", "legume"]).Name = "basil";
+        nodeAt(data, ["object", "food", "herb"]).Children[0].Father = "herb";
+
+        valid = join(folder, "valid.json");
+        flat = join(folder, "flat.json");
+        duplicates = join(folder, "duplicates.json");
+        await writeFile(valid, serializeNested(data));
+        await writeFile(flat, serializeFlat(nestedToFlat(data)));
+        await writeFile(duplicates, serializeNested(sampleHierarchy()));
+    });
+
+    after(() => rm(folder, {recursive: true, force: true}));
+
+    it("fails with 2 on a wrong command line", async () => {
+        assert.equal((await run()).code, 2);
+        assert.equal((await run("check", valid)).code, 2);
+        assert.equal((await run("validate")).code, 2);
+        assert.equal((await run("convert", valid)).code, 2);
+        assert.equal((await run("convert", valid, "--to", "xml")).code, 2);
+        assert.equal((await run("apply", valid)).code, 2);
+    });
+
+    it("validates a file: 0 without problems, 1 with problems", async () => {
+        const ok = await run("validate", valid);
+        assert.equal(ok.code, 0);
+        assert.match(ok.stdout, /\(nested format\): 0 problems found/);
+
+        const wrong = await run("validate", duplicates);
+        assert.equal(wrong.code, 1);
+        assert.match(wrong.stdout, /object > food > vegetable > legume: Name "legume" is used by 2 nodes/);
+        assert.match(wrong.stdout, /2 problems found/);
+
+        assert.equal((await run("validate", join(folder, "missing.json"))).code, 1);
+    });
+
+    it("converts between the nested and flat formats", async () => {
+        const toFlat = await run("convert", valid, "--to", "flat");
+        assert.equal(toFlat.code, 0);
+        assert.equal(toFlat.stdout, await readFile(flat, "utf-8") + "\n");
+
+        const output = join(folder, "nested.json");
+        assert.equal((await run("convert", flat, "--to", "nested", "--output", output)).code, 0);
+        assert.equal(await readFile(output, "utf-8"), await readFile(valid, "utf-8"));
+    });
+
+    it("prints the stats of a file", async () => {
+        const result = await run("stats", flat);
+
+        assert.equal(result.code, 0);
+        assert.match(result.stdout, /Under "object":\n {2}food: 6 \(67%\)\n {2}beverage: 3 \(33%\)\n$/);
+    });
+
+    it("applies a script, or fails with 1 naming the failing line", async () => {
+        const script = join(folder, "script.txt");
+        await writeFile(script, "# Move the drinks\nmove wine under food\nmove beer under wine\n");
+
+        const result = await run("apply", valid, script);
+        assert.equal(result.code, 0);
+        assert.match(result.stderr, /2 of 2 commands changed the hierarchy/);
+        assert.equal(nodeAt(JSON.parse(result.stdout), ["object", "food", "wine", "beer"]).Father, "wine");
+
+        await writeFile(script, "move wine under food\nmove beer under tea\n");
+        const failed = await run("apply", valid, script, "--output", join(folder, "applied.json"));
+        assert.equal(failed.code, 1);
+        assert.match(failed.stderr, /^Line 2: no node named "tea"/);
+        await assert.rejects(readFile(join(folder, "applied.json")), {code: "ENOENT"});
+    });
+});
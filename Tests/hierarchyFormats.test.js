@@ -0,0 +1,113 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+
+import {
+    FLAT_FORMAT,
+    NESTED_FORMAT,
+    detectFormat,
+    flatToNested,
+    nestedToFlat,
+    serializeFlat,
+    serializeNested,
+    toNestedHierarchy,
+} from "../Scripts/hierarchyFormats.js";
+import {sampleHierarchy} from "./sampleHierarchy.js";
+
+// Flat records: "sparkling_wine" (Index 7) is not reachable from the root
+const records = [
+    {Index: 0, Name: "object", Synonyms: [], Hypers: [], Verbs: [], Father: -1, Children: [3, 1]},
+    {Index: 1, Name: "beverage", Synonyms: ["drink"], Hypers: [], Verbs: [], Father: 0, Children: [5]},
+    {Index: 3, Name: "food", Synonyms: [], Hypers: [], Verbs: ["cook"], Father: 0, Children: []},
+    {Index: 5, Name: "wine", Synonyms: ["vino", "wine"], Hypers: ["beverage"], Verbs: [], Father: 1, Children: []},
+    {Index: 7, Name: "sparkling_wine", Synonyms: [], Hypers: ["wine", "beverage"], Verbs: [], Father: -1,
+        Children: [5]},
+];
+
+describe("detectFormat", () => {
+    it("tells the nested format from the flat one", () => {
+        assert.equal(detectFormat(sampleHierarchy()), NESTED_FORMAT);
+        assert.equal(detectFormat(records), FLAT_FORMAT);
+    });
+
+    it("rejects other content", () => {
+        assert.throws(() => detectFormat([{Name: "object"}]), /numeric "Index"/);
+        assert.throws(() => detectFormat({Name: "object"}), /Unknown hierarchy format/);
+    });
+});
+
+describe("flatToNested", () => {
+    it("builds the tree from the root, keeping the indexes", () => {
+        const {data} = flatToNested(records);
+
+        assert.equal(data.Father, "ROOT");
+        assert.deepEqual(data.Children.map(child => [child.Index, child.Name]), [[3, "food"], [1, "beverage"]]);
+        const wine = data.Children[1].Children[0];
+        assert.equal(wine.Index, 5);
+        assert.equal(wine.Father, "beverage");
+        assert.deepEqual(wine.Hypers, ["beverage", "object"]);
+    });
+
+    it("keeps apart the records not reachable from the root", () => {
+        const {detached} = flatToNested(records);
+
+        assert.deepEqual(detached, [records[4]]);
+    });
+
+    it("needs a root", () => {
+        assert.throws(() => flatToNested(records.slice(1, 4)), /No root found/);
+    });
+});
+
+describe("nestedToFlat", () => {
+    it("gives back the flat records, with their indexes and the detached ones", () => {
+        const {data, detached} = flatToNested(records);
+
+        assert.deepEqual(nestedToFlat(data, detached), records);
+    });
+
+    it("gives new indexes, after the highest one in use, to the nodes without one", () => {
+        const {data, detached} = toNestedHierarchy(records);
+        data.Children[0].Children.push({
+            Name: "dish", Synonyms: [], Hypers: ["food", "object"], Verbs: [], Father: "food", Children: [],
+        });
+
+        const added = nestedToFlat(data, detached).find(record => record.Name === "dish");
+
+        assert.equal(added.Index, 8);
+        assert.equal(added.Father, 3);
+        assert.deepEqual(added.Hypers, ["food"]);
+    });
+
+    it("gives a new index to a copied node, whose index is already used", () => {
+        const data = sampleHierarchy();
+        data.Index = 0;
+        data.Children.forEach(child => {
+            child.Index = 4;
+        });
+
+        const flat = nestedToFlat(data);
+
+        assert.deepEqual(flat.map(record => record.Index), [0, 4, 5, 6, 7, 8, 9, 10, 11, 12]);
+        assert.equal(flat.find(record => record.Name === "food").Index, 4);
+        assert.equal(flat.find(record => record.Name === "beverage").Index, 10);
+    });
+});
+
+describe("serialization", () => {
+    it("writes files that read back to the same hierarchy", () => {
+        const data = sampleHierarchy();
+        const {data: nested, detached} = flatToNested(records);
+
+        assert.deepEqual(JSON.parse(serializeNested(data)), data);
+        assert.deepEqual(JSON.parse(serializeFlat(nestedToFlat(nested, detached))), records);
+    });
+
+    it("converts nested to flat and back without changes", () => {
+        const data = sampleHierarchy();
+
+        const {data: back, detached} = toNestedHierarchy(JSON.parse(serializeFlat(nestedToFlat(data))));
+
+        assert.deepEqual(detached, []);
+        assert.deepEqual(JSON.parse(serializeNested(back), (key, value) => key === "Index" ? undefined : value), data);
+    });
+});
@@ -0,0 +1,50 @@
+// Small hierarchy (nested format) shared by the tests: a new copy at every call, so tests can edit it.
+// "legume" is the name of two nodes, under "vegetable" and under "herb".
+//   object
+//     food
+//       vegetable
+//         legume
+//         cabbage
+//       herb
+//         legume
+//     beverage
+//       wine
+//       beer
+export function sampleHierarchy() {
+    return node("object", [], [
+        node("food", ["object"], [
+            node("vegetable", ["food", "object"], [
+                node("legume", ["vegetable", "food", "object"], [], ["legume", "leguminous_plant"]),
+                node("cabbage", ["vegetable", "food", "object"], [], ["cabbage", "chou"], ["shred"]),
+            ]),
+            node("herb", ["food", "object"], [
+                node("legume", ["herb", "food", "object"], []),
+            ]),
+        ]),
+        node("beverage", ["object"], [
+            node("wine", ["beverage", "object"], [], ["vino", "wine"], ["pour"]),
+            node("beer", ["beverage", "object"], []),
+        ]),
+    ]);
+}
+
+// Node named "name" with its fathers "hypers" (nearest first)
+function node(name, hypers, children, synonyms = [], verbs = []) {
+    return {
+        Name: name,
+        Synonyms: synonyms,
+        Hypers: hypers,
+        Verbs: verbs,
+        Father: hypers[0] ?? "ROOT",
+        Children: children,
+    };
+}
+
+// Node of "data" at a path of names from its root, undefined if there is none
+export function nodeAt(data, path) {
+    let item = data;
+    for (const name of path.slice(1)) {
+        item = item?.Children.find(child => child.Name === name);
+    }
+    return data.Name === path[0] ? item : undefined;
+}